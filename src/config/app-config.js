@@ -6,14 +6,26 @@ const AppConfig = {
         version: '1.0.0',
         description: 'A beautiful invitation website for your special event',
         theme: 'default', // Options: default, dark, wedding, corporate, party, nature, elegant
-        language: 'en'
+        followSystemTheme: false, // Use the dark theme for guests whose device is in dark mode
+        language: 'en' // Default language (see i18n below)
+    },
+
+    // Languages guests can switch between (dictionaries live in scripts/i18n/)
+    i18n: {
+        languages: ['en'], // e.g. ['en', 'es'] shows a language switcher in the navigation
+        detectBrowserLanguage: false, // Start in the guest's browser language when it's offered
+        emailLanguage: '', // Language of emails sent to you, defaults to app.language
+        translations: {} // Change wording per language, e.g. { es: { 'hero.rsvpNow': '¡Confirma ya!' } }
     },
 
     // Event information
     event: {
         title: 'Welcome to Our Special Event',
         subtitle: 'Join us for an unforgettable experience',
-        date: 'December 25, 2025 at 6:00 PM',
+        date: 'December 25, 2025 at 6:00 PM', // Display text
+        start: '2025-12-25T18:00', // Start at the venue, used for calendar entries
+        end: '2025-12-25T23:30',
+        timezone: 'America/New_York', // IANA time zone of the venue
         location: 'Grand Ballroom, Elegant Hotel, 123 Event Street, City, State 12345',
         dresscode: 'Smart casual',
         dining: 'Dinner and refreshments will be served',
@@ -33,9 +45,11 @@ const AppConfig = {
         rsvp: true,
         contact: true,
         schedule: true,
-        countdown: false, // Set to true to show countdown timer
-        guestMessages: false, // Feature for future implementation
-        locationMap: false // Feature for future implementation
+        countdown: false, // Set to true to show a countdown to event.start
+        guestMessages: false, // Set to true to show the guestbook (see guestbook below)
+        locationMap: false, // Set to true to show the venue map (details.location)
+        themeSwitcher: false, // Set to true to let guests pick a theme in the navigation
+        adminDashboard: false // Set to true to open the organizer dashboard at #admin (see admin below)
     },
 
     // Email service configuration
@@ -52,6 +66,14 @@ const AppConfig = {
         headers: {
             // 'Authorization': 'Bearer your-token',
             // 'X-API-Key': 'your-api-key'
+        },
+
+        // Submissions that fail while offline are kept on the device and sent later
+        outbox: {
+            enabled: true,
+            retryAttempts: 2, // Attempts per retry round
+            retryDelay: 30000, // First wait between rounds in ms, doubled each time
+            maxRetryDelay: 3600000 // Longest wait between rounds in ms
         }
     },
 
@@ -125,6 +147,38 @@ const AppConfig = {
         }
     ],
 
+    // Countdown options (features.countdown, needs event.start)
+    countdown: {
+        startingSoonMinutes: 60 // Show "Starting soon" this long before the schedule begins
+    },
+
+    // Add-to-calendar options (needs event.start)
+    calendar: {
+        enabled: true,
+        providers: ['google', 'outlook', 'yahoo', 'ics'],
+        scheduleAsEvents: false, // Also add each schedule item as its own calendar entry
+        defaultDuration: 3 // Hours, used when event.end is not set
+    },
+
+    // Guestbook options (features.guestMessages)
+    guestbook: {
+        moderation: true, // New messages are only shown to their author until approved
+        messagesPerPage: 6,
+        maxMessageLength: 500,
+        allowPhotos: true,
+        maxPhotoSize: 5 * 1024 * 1024, // Bytes, checked before the photo is resized
+        photoMaxDimension: 800, // Photos are scaled down to fit this many pixels
+        adapter: 'email', // Registered with GuestbookComponent.registerAdapter()
+        messagesUrl: '' // JSON list of approved messages, e.g. 'data/guestbook.json'
+    },
+
+    // Organizer dashboard at #admin (features.adminDashboard)
+    // It shows the RSVPs saved in the browser it is opened in. The password only hides the
+    // page from curious guests; anyone can read this file, so never reuse a real password.
+    admin: {
+        passwordHash: '' // SHA-256 of the password, from AdminComponent.hashPassword('...') in the browser console
+    },
+
     // Event details configuration
     details: {
         location: {
@@ -132,17 +186,23 @@ const AppConfig = {
             address: '123 Event Street, City, State 12345',
             mapUrl: 'https://maps.google.com/?q=123+Event+Street+City+State', // Optional
             parkingInfo: 'Free parking available on-site',
-            directions: 'Take the main elevator to the 3rd floor'
+            directions: 'Take the main elevator to the 3rd floor',
+            coordinates: { lat: 40.7128, lng: -74.0060 }, // Used for the map and navigation buttons
+            mapProvider: 'openstreetmap', // Options: openstreetmap, google
+            mapZoom: 15,
+            staticMapImage: 'assets/images/venue-map.svg' // Shown when offline or the map can't load
         },
         
         accommodation: {
-            available: true,
+            available: true, // Set to false to hide the "Where to Stay" block
             hotels: [
                 {
                     name: 'Elegant Hotel',
                     distance: '0 miles (venue hotel)',
                     phone: '+1 (555) 123-4567',
-                    website: 'https://eleganthotel.com'
+                    website: 'https://eleganthotel.com',
+                    bookingCode: 'EVENT2025', // Optional group booking code
+                    roomBlockDeadline: '2025-11-25' // Optional last day to book at the group rate
                 },
                 {
                     name: 'Nearby Inn',
@@ -154,7 +214,8 @@ const AppConfig = {
         },
 
         transportation: {
-            available: true,
+            available: true, // Set to false to hide the "Getting Around" block
+            // Plain text, or { title, description } for more detail
             options: [
                 'Self-driving with free parking',
                 'Taxi and ride-sharing services',
@@ -166,21 +227,95 @@ const AppConfig = {
 
     // RSVP configuration
     rsvp: {
-        deadline: '2025-12-20', // RSVP deadline date
-        maxGuestsPerInvitation: 5,
-        requirePhoneNumber: false,
-        allowMaybe: true,
+        deadline: '2025-12-20', // RSVP deadline date (responses accepted until the end of this day)
+        deadlineWarningDays: 7, // Show a reminder banner during the last N days before the deadline
+        allowLateRequests: true, // After the deadline, offer to contact the organizer instead
+        showDeadlineInHero: true, // Show "RSVP by ..." below the event date on the home section
+        maxGuestsPerInvitation: 5, // Largest party size a guest can RSVP for (including themselves)
+        requirePhoneNumber: false, // Make the phone number field mandatory
+        allowMaybe: true, // Offer a "Maybe" attendance option
+        // Details asked for each additional guest when the party is larger than one
+        partyMembers: {
+            ageGroups: ['Adult', 'Teen (13-17)', 'Child (2-12)', 'Infant (under 2)'],
+            mealChoices: ['Standard', 'Vegetarian', 'Vegan', 'Kids menu'] // Leave empty to skip; replaced by `menu` when enabled
+        },
         customQuestions: [
             // Add custom RSVP questions here
+            // Supported types: text, textarea, select, radio, checkbox, number
+            // select and radio need `options`; checkbox without options is a yes/no toggle
+            // Set attendingOnly: true to hide a question when the guest declines
             // {
             //     id: 'song_requests',
             //     label: 'Any song requests for the DJ?',
             //     type: 'textarea',
             //     required: false
+            // },
+            // {
+            //     id: 'shuttle_seats',
+            //     label: 'Seats needed on the hotel shuttle',
+            //     type: 'number',
+            //     min: 0,
+            //     max: 5,
+            //     attendingOnly: true
+            // },
+            // {
+            //     id: 'shuttle_time',
+            //     label: 'Preferred shuttle departure',
+            //     type: 'radio',
+            //     options: ['5:00 PM', '5:30 PM', { value: 'none', label: 'No shuttle needed' }],
+            //     required: true,
+            //     attendingOnly: true
             // }
         ]
     },
 
+    // Menu for per-guest meal selection in the RSVP form (optional)
+    // Each attendee picks one option per course; allergens are shown next to each option.
+    // Meal counts are available from StorageService.getMealTally().
+    menu: {
+        enabled: false,
+        courses: [
+            {
+                id: 'starter',
+                name: 'Starter',
+                options: [
+                    { id: 'soup', name: 'Roasted tomato soup', allergens: ['dairy'] },
+                    { id: 'salad', name: 'Garden salad', allergens: ['nuts'] }
+                ]
+            },
+            {
+                id: 'main',
+                name: 'Main Course',
+                required: true,
+                options: [
+                    { id: 'beef', name: 'Braised beef', description: 'With seasonal vegetables', allergens: [] },
+                    { id: 'fish', name: 'Grilled salmon', allergens: ['fish'] },
+                    { id: 'risotto', name: 'Mushroom risotto (vegetarian)', allergens: ['dairy'] }
+                ]
+            },
+            {
+                id: 'dessert',
+                name: 'Dessert',
+                options: [
+                    { id: 'cake', name: 'Chocolate cake', allergens: ['gluten', 'dairy', 'eggs'] },
+                    { id: 'fruit', name: 'Fresh fruit', allergens: [] }
+                ]
+            }
+        ]
+    },
+
+    // Personalised invitation links (optional)
+    // Share links like https://your-site/#rsvp?g=abc123 to greet each guest by name,
+    // pre-fill their RSVP and cap their party size.
+    // The guest list file is publicly downloadable, so publish the sealed guests.json from the dashboard:
+    // each entry can only be read with its own link, and emails are left out.
+    invitations: {
+        enabled: false,
+        guestListUrl: 'data/guests.json', // guests imported in the dashboard are checked first
+        tokenParam: 'g', // URL parameter carrying the guest token
+        reportOpens: false // Send a short "invitation opened" notice through the email provider the first time a link is opened on a device
+    },
+
     // Social media integration (optional)
     social: {
         enabled: false,
@@ -199,25 +334,47 @@ const AppConfig = {
         facebookPixelId: ''    // Facebook Pixel ID
     },
 
-    // PWA configuration (for future implementation)
+    // PWA configuration - installable app that also opens offline
     pwa: {
         enabled: false,
         name: 'Event Invitation',
         shortName: 'Event',
         description: 'Your special event invitation',
         themeColor: '#6366f1',
-        backgroundColor: '#ffffff'
+        backgroundColor: '#ffffff',
+        icon: 'assets/images/app-icon.svg',
+        serviceWorker: 'sw.js',
+        cacheVersion: '1' // Change after updating the site so guests get the new files
+    },
+
+    // Where guests' data is kept in their browser
+    // 'auto' uses IndexedDB (room for guestbook photos and long RSVP lists), falling back to
+    // localStorage and then to memory (nothing kept after the tab closes).
+    storage: {
+        backend: 'auto', // 'auto' | 'indexedDB' | 'localStorage' | 'memory'
+
+        // Encrypt guests' personal data (RSVPs, messages, unsent replies, guest list) on their device.
+        // 'device' uses a key the browser generates and keeps; 'passphrase' asks the guest for one
+        // before earlier replies can be shown. Needs https; without it nothing personal is kept.
+        encryption: {
+            enabled: false,
+            keySource: 'device', // 'device' | 'passphrase'
+            sensitiveKeys: ['rsvp_', 'contact_', 'outbox', 'invitee_'] // Key prefixes to encrypt
+        }
     },
 
     // Advanced customization
     customization: {
-        // Custom CSS variables can be added here
+        // Override theme colours: primary -> --primary-color, navBg -> --nav-bg,
+        // or name any CSS variable directly ('--my-accent'). Invalid colours are ignored.
         colors: {
             // primary: '#your-color',
             // secondary: '#your-color'
         },
         
-        // Custom fonts (Google Fonts)
+        // primary is used for body text, secondary for headings.
+        // A plain name loads from Google Fonts; add src to serve font files yourself (works offline):
+        // secondary: { family: 'Playfair Display', src: 'assets/fonts/playfair.woff2' }
         fonts: {
             // primary: 'Roboto',
             // secondary: 'Playfair Display'
@@ -225,9 +382,9 @@ const AppConfig = {
         
         // Animation preferences
         animations: {
-            enabled: true,
+            enabled: true, // false turns off all animations
             duration: 'normal', // fast, normal, slow
-            reducedMotion: false // Will be automatically detected
+            reducedMotion: false // true forces reduced motion; the visitor's OS setting is always respected
         }
     },
 
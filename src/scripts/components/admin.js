@@ -0,0 +1,633 @@
+// Admin Component - Password-protected overview of the RSVPs saved by StorageService
+class AdminComponent {
+    constructor() {
+        this.isInitialized = false;
+        this.isUnlocked = false;
+        this.config = null;
+        this.filter = 'all';
+        this.searchTerm = '';
+        this.responses = [];
+        this.sessionKeyId = 'admin-session';
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.handleLogin = this.handleLogin.bind(this);
+        this.handleFilterClick = this.handleFilterClick.bind(this);
+        this.handleSearch = this.handleSearch.bind(this);
+        this.handleExportClick = this.handleExportClick.bind(this);
+        this.handleGuestImport = this.handleGuestImport.bind(this);
+        this.handleResponseImport = this.handleResponseImport.bind(this);
+        this.lock = this.lock.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    async init() {
+        try {
+            console.log('🔐 Initializing Admin Component');
+
+            const appConfig = window.App ? window.App.getConfig() : null;
+            if (!appConfig?.features?.adminDashboard) {
+                return;
+            }
+
+            this.config = {
+                passwordHash: '',
+                ...(appConfig.admin || {})
+            };
+
+            if (!this.config.passwordHash) {
+                console.error('❌ features.adminDashboard is on but admin.passwordHash is not set; the dashboard stays locked');
+            }
+
+            this.setupEventListeners();
+
+            // Stay unlocked for the rest of the browser session
+            if (await this.hasValidSession()) {
+                this.unlock();
+            }
+
+            this.isInitialized = true;
+            console.log('✅ Admin Component initialized');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize Admin Component:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const loginForm = document.getElementById('admin-login');
+        if (loginForm) {
+            loginForm.addEventListener('submit', this.handleLogin);
+        }
+
+        const filters = document.getElementById('admin-filters');
+        if (filters) {
+            filters.addEventListener('click', this.handleFilterClick);
+        }
+
+        const search = document.getElementById('admin-search');
+        if (search) {
+            search.addEventListener('input', this.handleSearch);
+        }
+
+        const lockButton = document.getElementById('admin-lock');
+        if (lockButton) {
+            lockButton.addEventListener('click', this.lock);
+        }
+
+        const exports = document.getElementById('admin-export-buttons');
+        if (exports) {
+            exports.addEventListener('click', this.handleExportClick);
+        }
+
+        const guestImport = document.getElementById('admin-guest-import');
+        if (guestImport) {
+            guestImport.addEventListener('submit', this.handleGuestImport);
+        }
+
+        const responseImport = document.getElementById('admin-response-import');
+        if (responseImport) {
+            responseImport.addEventListener('submit', this.handleResponseImport);
+        }
+
+        if (window.EventBus) {
+            // Pick up responses saved since the dashboard was last shown
+            window.EventBus.on('navigation:change', (data) => {
+                if (data.section === 'admin' && this.isUnlocked) {
+                    this.render();
+                }
+            });
+
+            window.EventBus.on('language:changed', () => {
+                if (this.isUnlocked) this.render();
+            });
+
+            window.EventBus.on('storage:unlocked', () => {
+                if (this.isUnlocked) this.render();
+            });
+        }
+    }
+
+    async handleLogin(event) {
+        event.preventDefault();
+
+        const input = document.getElementById('admin-password');
+        const password = input ? input.value : '';
+
+        try {
+            if (!(await this.checkPassword(password))) {
+                this.showLoginError(this.t('admin.wrongPassword'));
+                this.emit('admin:login-failed');
+                return;
+            }
+        } catch (error) {
+            console.error('❌ Could not check the admin password:', error);
+            this.showLoginError(this.t('admin.unavailable'));
+            return;
+        }
+
+        if (input) input.value = '';
+        await this.rememberSession();
+
+        this.unlock();
+    }
+
+    // The session holds a random token signed with a key that is only created after the
+    // password was checked, so it can't be made up from the (public) config
+    async rememberSession() {
+        const encryption = window.EncryptionService;
+        if (!window.StorageService || !encryption || !encryption.isSupported() || typeof indexedDB === 'undefined') {
+            return;
+        }
+
+        try {
+            const key = await encryption.createSigningKey();
+            await encryption.saveKey(this.sessionKeyId, key);
+
+            const token = window.Helpers ? window.Helpers.randomToken(32) : encryption.createSalt();
+            window.StorageService.setSessionItem('admin_unlocked', {
+                token,
+                signature: await encryption.sign(key, token)
+            });
+        } catch (error) {
+            // The password is asked again after a reload
+            console.warn('⚠️ Could not remember the dashboard session:', error);
+        }
+    }
+
+    async hasValidSession() {
+        const session = window.StorageService ? window.StorageService.getSessionItem('admin_unlocked') : null;
+        const encryption = window.EncryptionService;
+        if (!session || !session.token || !session.signature || !this.config.passwordHash) return false;
+        if (!encryption || !encryption.isSupported()) return false;
+
+        try {
+            const key = await encryption.loadKey(this.sessionKeyId);
+            return !!key && await encryption.verify(key, session.signature, session.token);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async checkPassword(password) {
+        if (!password || !this.config.passwordHash) return false;
+
+        const hash = await AdminComponent.hashPassword(password);
+        return hash === String(this.config.passwordHash).trim().toLowerCase();
+    }
+
+    unlock() {
+        this.isUnlocked = true;
+        this.showLoginError('');
+
+        document.getElementById('admin-login')?.classList.add('hidden');
+        document.getElementById('admin-dashboard')?.classList.remove('hidden');
+
+        this.render();
+        this.emit('admin:unlocked');
+    }
+
+    lock() {
+        this.isUnlocked = false;
+        this.responses = [];
+
+        if (window.StorageService) {
+            window.StorageService.removeSessionItem('admin_unlocked');
+        }
+        if (window.EncryptionService) {
+            window.EncryptionService.deleteKey(this.sessionKeyId).catch(() => {});
+        }
+
+        document.getElementById('admin-dashboard')?.classList.add('hidden');
+        document.getElementById('admin-login')?.classList.remove('hidden');
+
+        const list = document.getElementById('admin-rsvp-list');
+        if (list) list.innerHTML = '';
+
+        this.emit('admin:locked');
+    }
+
+    showLoginError(message) {
+        const error = document.getElementById('admin-login-error');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    // One row per RSVP, newest first; cancelled replies count as "not attending"
+    getResponses() {
+        const rsvps = window.StorageService ? window.StorageService.getRSVPs() : [];
+
+        return rsvps.map(rsvp => {
+            const cancelled = rsvp.status === 'cancelled';
+            const attendance = cancelled ? 'no' : (rsvp.attendance || 'maybe');
+            const partyMembers = Array.isArray(rsvp.partyMembers) ? rsvp.partyMembers : [];
+
+            return {
+                id: rsvp.id,
+                name: rsvp.guestName || '',
+                email: rsvp.guestEmail || '',
+                phone: rsvp.guestPhone || '',
+                attendance,
+                cancelled,
+                guestCount: attendance === 'no' ? 0 : Math.max(1, parseInt(rsvp.guestCount, 10) || 1),
+                comments: rsvp.comments || '',
+                timestamp: rsvp.updatedAt || rsvp.timestamp,
+                dietary: [
+                    { name: rsvp.guestName, text: rsvp.dietaryRequirements },
+                    ...partyMembers.map(member => ({ name: member.name, text: member.dietaryRequirements }))
+                ].filter(entry => entry.text && entry.text.trim()),
+                partyNames: partyMembers.map(member => member.name).filter(Boolean)
+            };
+        });
+    }
+
+    getTotals(responses = this.responses) {
+        const totals = {
+            replies: responses.length,
+            yes: { replies: 0, guests: 0 },
+            maybe: { replies: 0, guests: 0 },
+            no: { replies: 0 }
+        };
+
+        responses.forEach(response => {
+            const bucket = totals[response.attendance];
+            if (!bucket) return;
+
+            bucket.replies++;
+            if ('guests' in bucket) {
+                bucket.guests += response.guestCount;
+            }
+        });
+
+        return totals;
+    }
+
+    // Requirements of everyone attending, grouped case-insensitively: "Vegetarian" × 3
+    getDietarySummary(responses = this.responses) {
+        const groups = new Map();
+
+        responses
+            .filter(response => response.attendance === 'yes')
+            .forEach(response => {
+                response.dietary.forEach(entry => {
+                    const text = entry.text.trim();
+                    const key = text.toLowerCase();
+                    const group = groups.get(key) || { text, count: 0, names: [] };
+
+                    group.count++;
+                    if (entry.name) group.names.push(entry.name);
+                    groups.set(key, group);
+                });
+            });
+
+        return Array.from(groups.values()).sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+    }
+
+    getFilteredResponses() {
+        const term = this.searchTerm.toLowerCase();
+
+        return this.responses.filter(response => {
+            if (this.filter !== 'all' && response.attendance !== this.filter) return false;
+            if (!term) return true;
+
+            return [
+                response.name,
+                response.email,
+                response.phone,
+                response.comments,
+                ...response.partyNames,
+                ...response.dietary.map(entry => entry.text)
+            ].some(value => value && value.toLowerCase().includes(term));
+        });
+    }
+
+    handleFilterClick(event) {
+        const button = event.target.closest('[data-filter]');
+        if (!button) return;
+
+        this.filter = button.dataset.filter;
+        this.renderList();
+        this.emit('admin:filtered', { filter: this.filter, search: this.searchTerm });
+    }
+
+    handleSearch(event) {
+        this.searchTerm = event.target.value.trim();
+        this.renderList();
+    }
+
+    // Exports always include every saved response, whatever the filter
+    async handleExportClick(event) {
+        const button = event.target.closest('[data-export]');
+        if (!button || !this.isUnlocked || !window.ExportService) return;
+
+        try {
+            await window.ExportService.download(button.dataset.export, button.dataset.format);
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+        }
+    }
+
+    async handleGuestImport(event) {
+        event.preventDefault();
+
+        const input = document.getElementById('admin-guest-file');
+        const file = input && input.files ? input.files[0] : null;
+        if (!file || !this.isUnlocked || !window.GuestService) return;
+
+        try {
+            const text = await file.text();
+            const replace = !!document.getElementById('admin-guest-replace')?.checked;
+            const result = window.GuestService.importGuestList(text, { replace });
+
+            this.showGuestMessage(this.t('admin.guests.imported', result));
+            input.value = '';
+            this.renderGuestList();
+        } catch (error) {
+            console.error('❌ Guest list import failed:', error);
+            this.showGuestMessage(this.t('admin.guests.importFailed', { error: error.message }), true);
+        }
+    }
+
+    // Replies and opened invitations recorded on guests' devices
+    async handleResponseImport(event) {
+        event.preventDefault();
+
+        const input = document.getElementById('admin-response-file');
+        const file = input && input.files ? input.files[0] : null;
+        if (!file || !this.isUnlocked || !window.GuestService) return;
+
+        try {
+            const result = window.GuestService.importResponses(await file.text());
+
+            this.showGuestMessage(this.t('admin.guests.responsesImported', result));
+            input.value = '';
+            this.renderGuestList();
+        } catch (error) {
+            console.error('❌ Replies import failed:', error);
+            this.showGuestMessage(this.t('admin.guests.responsesImportFailed', { error: error.message }), true);
+        }
+    }
+
+    showGuestMessage(message, isError = false) {
+        const element = document.getElementById('admin-guest-message');
+        if (!element) return;
+
+        element.textContent = message;
+        element.classList.toggle('field-error', isError);
+        element.classList.toggle('hidden', !message);
+    }
+
+    render() {
+        if (!this.isUnlocked) return;
+
+        this.responses = this.getResponses();
+        this.renderTotals();
+        this.renderDietary();
+        this.renderList();
+        this.renderGuestList();
+    }
+
+    renderTotals() {
+        const container = document.getElementById('admin-totals');
+        if (!container) return;
+
+        const totals = this.getTotals();
+        const cards = [
+            { key: 'yes', value: totals.yes.guests, detail: this.t('admin.totals.replies', { count: totals.yes.replies }) },
+            { key: 'maybe', value: totals.maybe.guests, detail: this.t('admin.totals.replies', { count: totals.maybe.replies }) },
+            { key: 'no', value: totals.no.replies, detail: this.t('admin.totals.replies', { count: totals.no.replies }) },
+            { key: 'all', value: totals.replies, detail: '' }
+        ];
+
+        container.innerHTML = '';
+        cards.forEach(card => {
+            const element = document.createElement('div');
+            element.className = `admin-total admin-total-${card.key}`;
+
+            const value = document.createElement('strong');
+            value.textContent = card.value;
+            element.appendChild(value);
+
+            const label = document.createElement('span');
+            label.textContent = this.t(`admin.totals.${card.key}`);
+            element.appendChild(label);
+
+            if (card.detail) {
+                const detail = document.createElement('small');
+                detail.textContent = card.detail;
+                element.appendChild(detail);
+            }
+
+            container.appendChild(element);
+        });
+    }
+
+    renderDietary() {
+        const list = document.getElementById('admin-dietary-list');
+        if (!list) return;
+
+        const summary = this.getDietarySummary();
+        list.innerHTML = '';
+
+        if (!summary.length) {
+            const empty = document.createElement('li');
+            empty.className = 'admin-empty';
+            empty.textContent = this.t('admin.noDietary');
+            list.appendChild(empty);
+            return;
+        }
+
+        summary.forEach(group => {
+            const item = document.createElement('li');
+
+            const text = document.createElement('strong');
+            text.textContent = `${group.text} × ${group.count}`;
+            item.appendChild(text);
+
+            if (group.names.length) {
+                const names = document.createElement('span');
+                names.textContent = group.names.join(', ');
+                item.appendChild(names);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    renderList() {
+        const list = document.getElementById('admin-rsvp-list');
+        const empty = document.getElementById('admin-empty');
+        if (!list) return;
+
+        document.querySelectorAll('#admin-filters [data-filter]').forEach(button => {
+            const active = button.dataset.filter === this.filter;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        const responses = this.getFilteredResponses();
+        list.innerHTML = '';
+        responses.forEach(response => list.appendChild(this.createRow(response)));
+
+        if (empty) {
+            empty.textContent = this.responses.length ? this.t('admin.noMatches') : this.t('admin.empty');
+            empty.classList.toggle('hidden', responses.length > 0);
+        }
+    }
+
+    // Imported invitees who haven't replied, with their personal link to resend
+    renderGuestList() {
+        const list = document.getElementById('admin-pending-list');
+        const summaryElement = document.getElementById('admin-guest-summary');
+        const empty = document.getElementById('admin-guests-empty');
+        if (!list || !window.GuestService) return;
+
+        const summary = window.GuestService.getGuestListSummary();
+        const pending = summary.invitees.filter(invitee => invitee.status !== 'responded');
+
+        if (summaryElement) {
+            summaryElement.textContent = summary.invited ? this.t('admin.guests.summary', summary) : '';
+        }
+
+        list.innerHTML = '';
+        pending.forEach(invitee => {
+            const row = document.createElement('tr');
+            row.dataset.inviteeId = invitee.id;
+
+            const cells = [
+                [invitee.name, invitee.email].filter(Boolean).join(' · '),
+                invitee.household,
+                invitee.group,
+                invitee.seats,
+                this.t(`admin.guests.status.${invitee.status}`)
+            ];
+
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const linkCell = document.createElement('td');
+            const link = document.createElement('input');
+            link.type = 'text';
+            link.readOnly = true;
+            link.className = 'admin-guest-link';
+            link.value = window.GuestService.getInvitationLink(invitee);
+            link.setAttribute('aria-label', this.t('admin.guests.columns.link'));
+            link.addEventListener('focus', () => link.select());
+            linkCell.appendChild(link);
+            row.appendChild(linkCell);
+
+            list.appendChild(row);
+        });
+
+        if (empty) {
+            empty.textContent = summary.invited ? this.t('admin.guests.allReplied') : this.t('admin.guests.empty');
+            empty.classList.toggle('hidden', pending.length > 0);
+        }
+    }
+
+    createRow(response) {
+        const row = document.createElement('tr');
+        row.dataset.rsvpId = response.id || '';
+        row.dataset.attendance = response.attendance;
+
+        const status = response.cancelled ? 'cancelled' : response.attendance;
+        const received = response.timestamp && window.Helpers
+            ? window.Helpers.formatDateTime(response.timestamp)
+            : (response.timestamp || '');
+
+        const cells = [
+            [response.name, ...response.partyNames].join(', '),
+            [response.email, response.phone].filter(Boolean).join(' · '),
+            this.t(`admin.status.${status}`),
+            response.attendance === 'no' ? '–' : response.guestCount,
+            response.dietary.map(entry => entry.text).join('; '),
+            response.comments,
+            received
+        ];
+
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+
+            // Response column carries a colour-coded badge
+            if (index === 2) {
+                cell.className = `admin-status admin-status-${status}`;
+            }
+
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+
+    // Cleanup method
+    destroy() {
+        const loginForm = document.getElementById('admin-login');
+        if (loginForm) {
+            loginForm.removeEventListener('submit', this.handleLogin);
+        }
+
+        const filters = document.getElementById('admin-filters');
+        if (filters) {
+            filters.removeEventListener('click', this.handleFilterClick);
+        }
+
+        const search = document.getElementById('admin-search');
+        if (search) {
+            search.removeEventListener('input', this.handleSearch);
+        }
+
+        const lockButton = document.getElementById('admin-lock');
+        if (lockButton) {
+            lockButton.removeEventListener('click', this.lock);
+        }
+
+        const exports = document.getElementById('admin-export-buttons');
+        if (exports) {
+            exports.removeEventListener('click', this.handleExportClick);
+        }
+
+        const guestImport = document.getElementById('admin-guest-import');
+        if (guestImport) {
+            guestImport.removeEventListener('submit', this.handleGuestImport);
+        }
+
+        const responseImport = document.getElementById('admin-response-import');
+        if (responseImport) {
+            responseImport.removeEventListener('submit', this.handleResponseImport);
+        }
+
+        this.isInitialized = false;
+        console.log('🔐 Admin Component destroyed');
+    }
+
+    // SHA-256 hex digest, as stored in admin.passwordHash
+    static async hashPassword(password) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Password checks need a secure (https) connection');
+        }
+
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+}
+
+// Make available globally
+window.AdminComponent = AdminComponent;
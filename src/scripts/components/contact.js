@@ -93,6 +93,11 @@ class ContactComponent {
                     this.onSectionEnter();
                 }
             });
+
+            // Guests who missed the RSVP deadline are sent here
+            window.EventBus.on('rsvp:late-request', () => {
+                this.prefillForm({ contactSubject: 'Late RSVP request' });
+            });
         }
 
         // Setup click handlers for contact info links
@@ -131,7 +136,7 @@ class ContactComponent {
         
         // Validate form
         if (!this.validateForm()) {
-            this.showError('Please correct the errors above and try again.');
+            this.showError(this.t('validation.fixErrors'));
             return;
         }
 
@@ -177,7 +182,7 @@ class ContactComponent {
         const emailField = document.getElementById('contact-email');
         if (emailField && emailField.value) {
             if (!this.isValidEmail(emailField.value)) {
-                this.showFieldError(emailField, 'Please enter a valid email address');
+                this.showFieldError(emailField, this.t('validation.email'));
                 isValid = false;
             }
         }
@@ -186,7 +191,7 @@ class ContactComponent {
         const messageField = document.getElementById('contact-message');
         if (messageField && messageField.value) {
             if (messageField.value.length < 10) {
-                this.showFieldError(messageField, 'Message must be at least 10 characters long');
+                this.showFieldError(messageField, this.t('contact.errors.messageLength'));
                 isValid = false;
             }
         }
@@ -200,7 +205,7 @@ class ContactComponent {
         const value = field.value.trim();
         
         if (!value) {
-            this.showFieldError(field, 'This field is required');
+            this.showFieldError(field, this.t('validation.required'));
             return false;
         }
 
@@ -287,8 +292,20 @@ class ContactComponent {
 
             // Submit via email service
             let response;
+            let queued = false;
             if (window.EmailService) {
-                response = await window.EmailService.sendEmail(submissionData);
+                try {
+                    response = await window.EmailService.sendEmail(submissionData);
+                } catch (error) {
+                    // Keep the message for later if the connection is down
+                    const outbox = window.OutboxService;
+                    if (!outbox || !outbox.shouldQueue(error)) {
+                        throw error;
+                    }
+
+                    outbox.enqueue(submissionData, { error });
+                    queued = true;
+                }
             } else {
                 // Fallback to fetch
                 response = await fetch(emailConfig.serviceUrl, {
@@ -310,7 +327,7 @@ class ContactComponent {
             }
 
             // Show success
-            this.showSuccess();
+            this.showSuccess(queued);
             
             // Reset form after delay
             setTimeout(() => {
@@ -318,14 +335,14 @@ class ContactComponent {
             }, 3000);
             
             // Emit success event
-            this.emit('form:success', {
+            this.emit(queued ? 'form:queued' : 'form:success', {
                 formType: 'contact',
                 data: this.formData
             });
 
         } catch (error) {
             console.error('Contact form submission failed:', error);
-            this.showError('Sorry, there was an error sending your message. Please try again or contact us directly.');
+            this.showError(this.t('contact.errors.submit'));
             
             // Emit error event
             this.emit('form:error', {
@@ -343,7 +360,7 @@ class ContactComponent {
         const submitButton = document.querySelector('#contact-form .submit-button');
         if (submitButton) {
             submitButton.disabled = true;
-            submitButton.textContent = 'Sending...';
+            submitButton.textContent = this.t('common.sending');
             submitButton.classList.add('loading');
         }
     }
@@ -352,27 +369,32 @@ class ContactComponent {
         const submitButton = document.querySelector('#contact-form .submit-button');
         if (submitButton) {
             submitButton.disabled = false;
-            submitButton.textContent = 'Send Message';
+            submitButton.textContent = this.t('contact.submit');
             submitButton.classList.remove('loading');
         }
     }
 
-    showSuccess() {
-        // Create success message
+    showSuccess(queued = false) {
+        // Create success message (or a pending one when the message is waiting in the outbox)
+        const status = queued ? 'warning' : 'success';
+        const kept = !window.OutboxService || window.OutboxService.isKept();
+        const title = this.t(!queued ? 'contact.sentTitle' : (kept ? 'contact.savedTitle' : 'contact.unsavedTitle'));
+        const text = this.t(!queued ? 'contact.sentText' : (kept ? 'contact.savedText' : 'contact.unsavedText'));
+
         const successDiv = document.createElement('div');
         successDiv.className = 'contact-success-message';
         successDiv.innerHTML = `
             <div style="
-                background: var(--success-bg);
-                color: var(--success-color);
-                border: 2px solid var(--success-border);
+                background: var(--${status}-bg);
+                color: var(--${status}-color);
+                border: 2px solid var(--${status}-border);
                 border-radius: 10px;
                 padding: 20px;
                 margin-bottom: 20px;
                 text-align: center;
             ">
-                <h3 style="margin-bottom: 10px;">✅ Message Sent Successfully!</h3>
-                <p style="margin: 0;">Thank you for contacting us. We'll get back to you soon!</p>
+                <h3 style="margin-bottom: 10px;">${title}</h3>
+                <p style="margin: 0;">${text}</p>
             </div>
         `;
 
@@ -535,6 +557,10 @@ class ContactComponent {
         }
     }
 
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
     emit(eventType, data = null) {
         if (window.EventBus) {
             window.EventBus.emit(eventType, data);
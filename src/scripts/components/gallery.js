@@ -93,7 +93,7 @@ class GalleryComponent {
             galleryItem.setAttribute('data-index', index);
             
             galleryItem.innerHTML = `
-                <img src="${image.src}" alt="${image.alt || image.caption || `Gallery Image ${index + 1}`}" loading="lazy">
+                <img src="${image.src}" alt="${image.alt || image.caption || this.t('gallery.imageAlt', { number: index + 1 })}" loading="lazy">
                 <div class="gallery-overlay">
                     <div class="gallery-caption">${image.caption || ''}</div>
                 </div>
@@ -116,7 +116,7 @@ class GalleryComponent {
                     if (entry.isIntersecting) {
                         setTimeout(() => {
                             entry.target.classList.add('fade-in');
-                        }, index * 100); // Stagger the animations
+                        }, this.getDuration(index * 100)); // Stagger the animations
                         
                         observer.unobserve(entry.target);
                     }
@@ -258,6 +258,14 @@ class GalleryComponent {
         const image = this.images[this.currentImageIndex];
         if (!image) return;
 
+        // Swap straight away when reduced motion is requested
+        const fadeDuration = this.getDuration(150);
+        if (!fadeDuration) {
+            lightboxImg.src = image.src;
+            lightboxImg.alt = image.alt || image.caption || 'Gallery Image';
+            return;
+        }
+
         // Add fade out effect
         lightboxImg.style.opacity = '0';
         
@@ -267,7 +275,7 @@ class GalleryComponent {
             
             // Fade back in
             lightboxImg.style.opacity = '1';
-        }, 150);
+        }, fadeDuration);
     }
 
     updateLightboxNavigation() {
@@ -290,24 +298,41 @@ class GalleryComponent {
             case 'Escape':
                 this.closeLightbox();
                 break;
+            // Arrows follow the reading direction: in RTL layouts the next image is to the left
             case 'ArrowLeft':
                 event.preventDefault();
-                this.showPreviousImage();
+                if (this.isRTL()) {
+                    this.showNextImage();
+                } else {
+                    this.showPreviousImage();
+                }
                 break;
             case 'ArrowRight':
                 event.preventDefault();
-                this.showNextImage();
+                if (this.isRTL()) {
+                    this.showPreviousImage();
+                } else {
+                    this.showNextImage();
+                }
                 break;
         }
     }
 
+    getDuration(ms) {
+        return window.MotionService ? window.MotionService.getDuration(ms) : ms;
+    }
+
+    isRTL() {
+        return document.documentElement.dir === 'rtl';
+    }
+
     onSectionEnter() {
         // Trigger animations when entering gallery section
         const galleryItems = document.querySelectorAll('.gallery-item');
         galleryItems.forEach((item, index) => {
             setTimeout(() => {
                 item.classList.add('slide-in-up');
-            }, index * 50);
+            }, this.getDuration(index * 50));
         });
     }
 
@@ -413,6 +438,10 @@ class GalleryComponent {
         };
     }
 
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
     emit(eventType, data = null) {
         if (window.EventBus) {
             window.EventBus.emit(eventType, data);
@@ -0,0 +1,646 @@
+// Guestbook Component - Guests leave wishes (with an optional photo) on a shared wall
+class GuestbookComponent {
+    constructor() {
+        this.isInitialized = false;
+        this.isSubmitting = false;
+        this.config = null;
+        this.adapter = null;
+        this.entries = [];
+        this.remoteEntries = [];
+        this.currentPage = 1;
+        this.photo = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.handleFormSubmit = this.handleFormSubmit.bind(this);
+        this.handlePhotoChange = this.handlePhotoChange.bind(this);
+        this.handlePaginationClick = this.handlePaginationClick.bind(this);
+        this.loadEntries = this.loadEntries.bind(this);
+        this.renderWall = this.renderWall.bind(this);
+    }
+
+    async init() {
+        try {
+            console.log('📖 Initializing Guestbook Component');
+
+            const appConfig = window.App ? window.App.getConfig() : null;
+            if (!appConfig?.features?.guestMessages) {
+                return;
+            }
+
+            this.config = {
+                moderation: true,
+                messagesPerPage: 6,
+                maxMessageLength: 500,
+                allowPhotos: true,
+                maxPhotoSize: 5 * 1024 * 1024,
+                photoMaxDimension: 800,
+                adapter: 'email',
+                messagesUrl: '',
+                ...(appConfig.guestbook || {})
+            };
+
+            this.adapter = GuestbookComponent.getAdapter(this.config.adapter);
+            if (!this.adapter) {
+                console.warn(`⚠️ Unknown guestbook adapter "${this.config.adapter}", using email`);
+                this.adapter = GuestbookComponent.getAdapter('email');
+            }
+
+            // Show the section and its navigation link
+            document.querySelectorAll('[data-section="guestbook"]').forEach(link => {
+                link.classList.remove('hidden');
+            });
+
+            this.setupForm();
+            this.setupEventListeners();
+
+            // Local messages show straight away; shared ones follow when loaded
+            await this.loadEntries();
+
+            this.isInitialized = true;
+            console.log('✅ Guestbook Component initialized');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize Guestbook Component:', error);
+        }
+    }
+
+    setupForm() {
+        const form = document.getElementById('guestbook-form');
+        if (!form) return;
+
+        const messageField = document.getElementById('guestbook-message');
+        if (messageField) {
+            messageField.maxLength = this.config.maxMessageLength;
+        }
+
+        const photoGroup = document.getElementById('guestbook-photo')?.closest('.form-group');
+        if (photoGroup) {
+            photoGroup.classList.toggle('hidden', !this.config.allowPhotos);
+        }
+
+        // Guests arriving through their invitation link don't need to type their name
+        const invitation = window.GuestService ? window.GuestService.getInvitation() : null;
+        const nameField = document.getElementById('guestbook-name');
+        if (nameField && invitation && !nameField.value) {
+            nameField.value = invitation.displayName || invitation.name || '';
+        }
+    }
+
+    setupEventListeners() {
+        const form = document.getElementById('guestbook-form');
+        if (form) {
+            form.addEventListener('submit', this.handleFormSubmit);
+
+            form.querySelectorAll('input, textarea').forEach(field => {
+                field.addEventListener('input', () => this.clearFieldError(field));
+            });
+        }
+
+        const photoInput = document.getElementById('guestbook-photo');
+        if (photoInput) {
+            photoInput.addEventListener('change', this.handlePhotoChange);
+        }
+
+        const pagination = document.getElementById('guestbook-pagination');
+        if (pagination) {
+            pagination.addEventListener('click', this.handlePaginationClick);
+        }
+
+        // Refresh the shared messages each time the section is opened
+        if (window.EventBus) {
+            window.EventBus.on('navigation:change', (data) => {
+                if (data.section === 'guestbook') {
+                    this.loadEntries();
+                }
+            });
+
+            window.EventBus.on('language:changed', () => this.renderWall());
+        }
+    }
+
+    async loadEntries() {
+        const localEntries = window.StorageService ? window.StorageService.getGuestbookEntries() : [];
+        this.entries = this.mergeEntries(localEntries, this.remoteEntries);
+        this.renderWall();
+
+        if (!this.adapter.fetchMessages) return;
+
+        try {
+            const remote = await this.adapter.fetchMessages(this.config);
+            this.remoteEntries = (Array.isArray(remote) ? remote : [])
+                .map(entry => this.normalizeEntry(entry, 'approved'))
+                .filter(Boolean);
+
+            this.syncModeration(localEntries);
+            this.entries = this.mergeEntries(
+                window.StorageService ? window.StorageService.getGuestbookEntries() : localEntries,
+                this.remoteEntries
+            );
+            this.renderWall();
+
+            this.emit('guestbook:loaded', { count: this.entries.length });
+        } catch (error) {
+            console.error('❌ Failed to load guestbook messages:', error);
+            this.emit('guestbook:error', { action: 'load', error: error.message });
+        }
+    }
+
+    normalizeEntry(entry, defaultStatus = 'pending') {
+        if (!entry) return null;
+
+        const guestName = entry.guestName || entry.name;
+        const guestMessage = entry.guestMessage || entry.message;
+        if (!guestName || !guestMessage) return null;
+
+        return {
+            id: entry.id ? String(entry.id) : `${guestName}-${entry.timestamp || entry.date || ''}`,
+            guestName,
+            guestMessage,
+            photo: entry.photo || null,
+            timestamp: entry.timestamp || entry.date || null,
+            status: entry.status || defaultStatus,
+            isOwn: !!entry.isOwn
+        };
+    }
+
+    // A local pending message that the organizer has published is now approved
+    syncModeration(localEntries) {
+        const approvedIds = new Set(this.remoteEntries.map(entry => entry.id));
+
+        localEntries.forEach(entry => {
+            if (entry.status !== 'approved' && approvedIds.has(entry.id)) {
+                this.setEntryStatus(entry.id, 'approved');
+            }
+        });
+    }
+
+    mergeEntries(localEntries, remoteEntries) {
+        const merged = new Map();
+
+        remoteEntries.forEach(entry => merged.set(entry.id, entry));
+        localEntries.forEach(entry => {
+            const remote = merged.get(entry.id);
+            merged.set(entry.id, remote ? { ...remote, isOwn: true } : entry);
+        });
+
+        return Array.from(merged.values())
+            .filter(entry => entry.status === 'approved' || entry.isOwn)
+            .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+    }
+
+    setEntryStatus(id, status) {
+        if (!window.StorageService) return false;
+
+        const entry = window.StorageService.getGuestbookEntries().find(item => item.id === id);
+        if (!entry) return false;
+
+        window.StorageService.saveGuestbookEntry({ ...entry, status });
+        this.emit('guestbook:moderated', { id, status });
+        return true;
+    }
+
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.entries.length / this.config.messagesPerPage));
+    }
+
+    renderWall() {
+        const wall = document.getElementById('guestbook-wall');
+        if (!wall) return;
+
+        wall.innerHTML = '';
+
+        if (!this.entries.length) {
+            const empty = document.createElement('p');
+            empty.className = 'guestbook-empty';
+            empty.textContent = this.t('guestbook.empty');
+            wall.appendChild(empty);
+            this.renderPagination();
+            return;
+        }
+
+        this.currentPage = Math.min(this.currentPage, this.getPageCount());
+        const start = (this.currentPage - 1) * this.config.messagesPerPage;
+        const pageEntries = this.entries.slice(start, start + this.config.messagesPerPage);
+
+        pageEntries.forEach(entry => {
+            wall.appendChild(this.createEntryCard(entry));
+        });
+
+        this.renderPagination();
+    }
+
+    createEntryCard(entry) {
+        const card = document.createElement('article');
+        card.className = 'guestbook-entry';
+        card.dataset.entryId = entry.id;
+
+        if (entry.status !== 'approved') {
+            card.classList.add('pending');
+
+            const badge = document.createElement('span');
+            badge.className = 'guestbook-badge';
+            badge.textContent = this.t('guestbook.awaitingApproval');
+            card.appendChild(badge);
+        }
+
+        if (entry.photo) {
+            const photo = document.createElement('img');
+            photo.src = entry.photo;
+            photo.alt = this.t('guestbook.photoAlt', { name: entry.guestName });
+            photo.loading = 'lazy';
+            photo.className = 'guestbook-photo';
+            card.appendChild(photo);
+        }
+
+        const message = document.createElement('p');
+        message.className = 'guestbook-message';
+        message.textContent = entry.guestMessage;
+        card.appendChild(message);
+
+        const footer = document.createElement('footer');
+        footer.className = 'guestbook-meta';
+
+        const name = document.createElement('strong');
+        name.textContent = entry.guestName;
+        footer.appendChild(name);
+
+        if (entry.timestamp && window.Helpers) {
+            const time = document.createElement('time');
+            time.dateTime = entry.timestamp;
+            time.textContent = window.Helpers.timeAgo(entry.timestamp);
+            footer.appendChild(time);
+        }
+
+        card.appendChild(footer);
+        return card;
+    }
+
+    renderPagination() {
+        const pagination = document.getElementById('guestbook-pagination');
+        if (!pagination) return;
+
+        const pageCount = this.getPageCount();
+        pagination.classList.toggle('hidden', pageCount <= 1);
+
+        const info = document.getElementById('guestbook-page-info');
+        if (info) {
+            info.textContent = this.t('guestbook.page', { page: this.currentPage, pages: pageCount });
+        }
+
+        const previous = pagination.querySelector('[data-page="prev"]');
+        const next = pagination.querySelector('[data-page="next"]');
+        if (previous) previous.disabled = this.currentPage <= 1;
+        if (next) next.disabled = this.currentPage >= pageCount;
+    }
+
+    handlePaginationClick(event) {
+        const button = event.target.closest('[data-page]');
+        if (!button || button.disabled) return;
+
+        this.goToPage(this.currentPage + (button.dataset.page === 'next' ? 1 : -1));
+    }
+
+    goToPage(page) {
+        const target = Math.min(Math.max(1, page), this.getPageCount());
+        if (target === this.currentPage) return;
+
+        this.currentPage = target;
+        this.renderWall();
+
+        const wall = document.getElementById('guestbook-wall');
+        if (wall) {
+            wall.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        this.emit('guestbook:page', { page: this.currentPage, pageCount: this.getPageCount() });
+    }
+
+    async handlePhotoChange(event) {
+        const input = event.target;
+        const file = input.files && input.files[0];
+        const preview = document.getElementById('guestbook-photo-preview');
+
+        this.photo = null;
+        this.clearFieldError(input);
+        if (preview) preview.classList.add('hidden');
+
+        if (!file) return;
+
+        try {
+            this.photo = await this.readPhoto(file);
+
+            if (preview) {
+                preview.src = this.photo;
+                preview.classList.remove('hidden');
+            }
+        } catch (error) {
+            input.value = '';
+            this.showFieldError(input, error.message);
+        }
+    }
+
+    // Photos are shrunk on the device so they fit in storage and email
+    async readPhoto(file) {
+        if (!file.type || !file.type.startsWith('image/')) {
+            throw new Error(this.t('guestbook.errors.photoType'));
+        }
+
+        if (file.size > this.config.maxPhotoSize) {
+            const maxSize = window.Helpers
+                ? window.Helpers.formatFileSize(this.config.maxPhotoSize)
+                : `${Math.round(this.config.maxPhotoSize / 1024 / 1024)} MB`;
+            throw new Error(this.t('guestbook.errors.photoSize', { size: maxSize }));
+        }
+
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(this.t('guestbook.errors.photoRead')));
+            reader.readAsDataURL(file);
+        });
+
+        return this.resizePhoto(dataUrl);
+    }
+
+    resizePhoto(dataUrl) {
+        const maxDimension = this.config.photoMaxDimension;
+
+        return new Promise((resolve) => {
+            const image = new Image();
+
+            image.onload = () => {
+                const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                const context = canvas.getContext && canvas.getContext('2d');
+
+                if (!context || !image.width) {
+                    resolve(dataUrl);
+                    return;
+                }
+
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+
+            // Keep the original if the browser can't decode it here
+            image.onerror = () => resolve(dataUrl);
+            image.src = dataUrl;
+        });
+    }
+
+    handleFormSubmit(event) {
+        event.preventDefault();
+
+        if (this.isSubmitting) {
+            return;
+        }
+
+        const entry = this.collectFormData();
+        if (!this.validateForm(entry)) {
+            return;
+        }
+
+        this.submitEntry(entry);
+    }
+
+    collectFormData() {
+        const invitation = window.GuestService ? window.GuestService.getInvitation() : null;
+        const randomId = window.Helpers ? window.Helpers.randomId(10) : Date.now().toString(36);
+
+        return {
+            id: `${Date.now().toString(36)}-${randomId}`,
+            guestName: (document.getElementById('guestbook-name')?.value || '').trim(),
+            guestMessage: (document.getElementById('guestbook-message')?.value || '').trim(),
+            photo: this.config.allowPhotos ? this.photo : null,
+            invitationId: invitation ? invitation.id : undefined,
+            timestamp: new Date().toISOString(),
+            status: this.config.moderation ? 'pending' : 'approved',
+            isOwn: true
+        };
+    }
+
+    validateForm(entry) {
+        let isValid = true;
+        const nameField = document.getElementById('guestbook-name');
+        const messageField = document.getElementById('guestbook-message');
+
+        if (!entry.guestName) {
+            this.showFieldError(nameField, this.t('guestbook.errors.name'));
+            isValid = false;
+        }
+
+        if (!entry.guestMessage) {
+            this.showFieldError(messageField, this.t('guestbook.errors.message'));
+            isValid = false;
+        } else if (entry.guestMessage.length > this.config.maxMessageLength) {
+            this.showFieldError(messageField, this.t('guestbook.errors.messageLength', { max: this.config.maxMessageLength }));
+            isValid = false;
+        }
+
+        return isValid;
+    }
+
+    async submitEntry(entry) {
+        this.isSubmitting = true;
+        this.setLoadingState(true);
+
+        try {
+            const result = await this.adapter.submit(entry, this.config);
+
+            // Keep a copy so the guest sees their message immediately
+            if (window.StorageService) {
+                window.StorageService.saveGuestbookEntry(entry);
+            }
+
+            this.currentPage = 1;
+            this.entries = this.mergeEntries(
+                window.StorageService ? window.StorageService.getGuestbookEntries() : [entry],
+                this.remoteEntries
+            );
+            this.renderWall();
+            this.resetForm();
+
+            const queued = !!(result && result.queued);
+            if (queued) {
+                const kept = !window.OutboxService || window.OutboxService.isKept();
+                this.showStatus(this.t(kept ? 'guestbook.queued' : 'guestbook.queuedUnsaved'), 'warning');
+            } else if (this.config.moderation) {
+                this.showStatus(this.t('guestbook.thanksModerated'));
+            } else {
+                this.showStatus(this.t('guestbook.thanks'));
+            }
+
+            if (queued) {
+                this.emit('guestbook:queued', { entry });
+            } else {
+                this.emit('guestbook:submitted', { entry });
+            }
+
+        } catch (error) {
+            console.error('Guestbook submission failed:', error);
+            this.showStatus(this.t('guestbook.errors.submit'), 'error');
+            this.emit('guestbook:error', { action: 'submit', error: error.message });
+        } finally {
+            this.isSubmitting = false;
+            this.setLoadingState(false);
+        }
+    }
+
+    setLoadingState(isLoading) {
+        const submitButton = document.querySelector('#guestbook-form .submit-button');
+        if (!submitButton) return;
+
+        submitButton.disabled = isLoading;
+        submitButton.classList.toggle('loading', isLoading);
+        submitButton.textContent = this.t(isLoading ? 'guestbook.posting' : 'guestbook.submit');
+    }
+
+    showStatus(message, type = 'success') {
+        const form = document.getElementById('guestbook-form');
+        if (!form) return;
+
+        const existing = form.querySelector('.guestbook-status');
+        if (existing) existing.remove();
+
+        const status = document.createElement('div');
+        status.className = `guestbook-status ${type}`;
+        status.setAttribute('role', 'status');
+        status.textContent = message;
+        form.insertBefore(status, form.firstChild);
+
+        setTimeout(() => {
+            if (status.parentElement) {
+                status.remove();
+            }
+        }, 6000);
+    }
+
+    showFieldError(field, message) {
+        const formGroup = field && field.closest('.form-group');
+        if (!formGroup) return;
+
+        this.clearFieldError(field);
+        field.classList.add('error');
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'field-error';
+        errorElement.textContent = message;
+        formGroup.appendChild(errorElement);
+    }
+
+    clearFieldError(field) {
+        const formGroup = field && field.closest('.form-group');
+        if (!formGroup) return;
+
+        field.classList.remove('error');
+        const errorElement = formGroup.querySelector('.field-error');
+        if (errorElement) {
+            errorElement.remove();
+        }
+    }
+
+    resetForm() {
+        const form = document.getElementById('guestbook-form');
+        if (!form) return;
+
+        const name = document.getElementById('guestbook-name')?.value;
+        form.reset();
+
+        // Keep the name for a follow-up message
+        const nameField = document.getElementById('guestbook-name');
+        if (nameField) nameField.value = name || '';
+
+        this.photo = null;
+        const preview = document.getElementById('guestbook-photo-preview');
+        if (preview) preview.classList.add('hidden');
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+
+    // Cleanup method
+    destroy() {
+        const form = document.getElementById('guestbook-form');
+        if (form) {
+            form.removeEventListener('submit', this.handleFormSubmit);
+        }
+
+        const photoInput = document.getElementById('guestbook-photo');
+        if (photoInput) {
+            photoInput.removeEventListener('change', this.handlePhotoChange);
+        }
+
+        const pagination = document.getElementById('guestbook-pagination');
+        if (pagination) {
+            pagination.removeEventListener('click', this.handlePaginationClick);
+        }
+
+        this.isInitialized = false;
+        console.log('📖 Guestbook Component destroyed');
+    }
+
+    // Backend adapters: { submit(entry, config), fetchMessages(config) (optional) }
+    static registerAdapter(name, adapter) {
+        if (!adapter || typeof adapter.submit !== 'function') {
+            throw new Error(`Guestbook adapter "${name}" must have a submit() method`);
+        }
+        GuestbookComponent.adapters.set(name, adapter);
+    }
+
+    static getAdapter(name) {
+        return GuestbookComponent.adapters.get(name) || null;
+    }
+}
+
+GuestbookComponent.adapters = new Map();
+
+// Default adapter: each message is emailed to the organizer, who publishes
+// approved messages by listing them in the JSON file at `guestbook.messagesUrl`
+GuestbookComponent.registerAdapter('email', {
+    async submit(entry) {
+        if (!window.EmailService) {
+            throw new Error('Email service not available');
+        }
+
+        const { isOwn, status, ...data } = entry;
+        const submission = { ...data, formType: 'guestbook' };
+
+        try {
+            await window.EmailService.sendEmail(submission);
+            return { queued: false };
+        } catch (error) {
+            const outbox = window.OutboxService;
+            if (!outbox || !outbox.shouldQueue(error)) {
+                throw error;
+            }
+
+            outbox.enqueue(submission, { key: `guestbook_${entry.id}`, error });
+            return { queued: true };
+        }
+    },
+
+    async fetchMessages(config) {
+        if (!config.messagesUrl) return [];
+
+        const response = await fetch(config.messagesUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : (data.messages || []);
+    }
+});
+
+// Make available globally
+window.GuestbookComponent = GuestbookComponent;
@@ -3,6 +3,9 @@ class HeroComponent {
     constructor() {
         this.isInitialized = false;
         this.animations = [];
+        this.countdownInterval = null;
+        this.countdownPhase = null;
+        this.deadlineStatus = null;
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -23,6 +26,9 @@ class HeroComponent {
             
             // Setup animations
             this.setupAnimations();
+
+            // Countdown to the event, if enabled
+            this.setupCountdown();
             
             this.isInitialized = true;
             console.log('✅ Hero Component initialized');
@@ -36,6 +42,9 @@ class HeroComponent {
         const config = window.App ? window.App.getConfig() : null;
         if (!config) return;
 
+        // Greet guests arriving through a personalised invitation link
+        this.updateGreeting(window.GuestService ? window.GuestService.getInvitation() : null);
+
         // Update main title
         const mainTitle = document.getElementById('main-title');
         if (mainTitle) {
@@ -54,6 +63,9 @@ class HeroComponent {
             eventDate.textContent = config.event.date || 'Date TBD';
         }
 
+        // Offer the event as a calendar entry
+        this.updateCalendar();
+
         // Update hero image
         const heroImg = document.getElementById('hero-img');
         if (heroImg && config.event.heroImage) {
@@ -90,6 +102,21 @@ class HeroComponent {
                 this.triggerEntranceAnimations();
             });
 
+            // Surface the RSVP deadline reported by the RSVP component
+            window.EventBus.on('rsvp:deadline', (status) => {
+                this.updateDeadline(status);
+            });
+
+            window.EventBus.on('language:changed', () => this.updateLanguage());
+
+            // Drop the parallax offset as soon as reduced motion is requested
+            window.EventBus.on('motion:changed', ({ reduced }) => {
+                const heroImage = document.querySelector('.hero-image img');
+                if (reduced && heroImage) {
+                    heroImage.style.transform = '';
+                }
+            });
+
             // Listen for navigation changes
             window.EventBus.on('navigation:change', (data) => {
                 if (data.section === 'home') {
@@ -134,6 +161,12 @@ class HeroComponent {
         let ticking = false;
 
         const updateParallax = () => {
+            if (!this.shouldAnimate()) {
+                heroImage.style.transform = '';
+                ticking = false;
+                return;
+            }
+
             const scrolled = window.pageYOffset;
             const parallax = scrolled * 0.5;
             
@@ -155,9 +188,11 @@ class HeroComponent {
         if (!heroContent) return;
 
         const elements = [
+            heroContent.querySelector('.hero-greeting:not(.hidden)'),
             heroContent.querySelector('h1'),
-            heroContent.querySelector('p'),
+            heroContent.querySelector('#main-subtitle'),
             heroContent.querySelector('.hero-date'),
+            heroContent.querySelector('.event-countdown:not(.hidden)'),
             heroContent.querySelector('.cta-button')
         ];
 
@@ -165,8 +200,8 @@ class HeroComponent {
             if (element) {
                 setTimeout(() => {
                     element.classList.add('fade-in');
-                    element.style.animationDelay = `${index * 0.2}s`;
-                }, index * 100);
+                    element.style.animationDelay = `${this.getDuration(index * 200) / 1000}s`;
+                }, this.getDuration(index * 100));
             }
         });
 
@@ -175,7 +210,7 @@ class HeroComponent {
         if (heroImage) {
             setTimeout(() => {
                 heroImage.classList.add('slide-in-right');
-            }, 600);
+            }, this.getDuration(600));
         }
     }
 
@@ -262,6 +297,56 @@ class HeroComponent {
         }
     }
 
+    updateGreeting(invitation) {
+        const heroGreeting = document.getElementById('hero-greeting');
+        if (!heroGreeting) return;
+
+        const name = invitation ? (invitation.displayName || invitation.name) : '';
+        if (!name) {
+            heroGreeting.classList.add('hidden');
+            return;
+        }
+
+        heroGreeting.textContent = this.t('hero.greeting', { name });
+        heroGreeting.classList.remove('hidden');
+    }
+
+    updateDeadline(status) {
+        const heroDeadline = document.getElementById('hero-deadline');
+        if (!heroDeadline) return;
+
+        this.deadlineStatus = status;
+
+        const config = window.App ? window.App.getConfig() : null;
+        if (!status || !status.deadline || config?.rsvp?.showDeadlineInHero === false) {
+            heroDeadline.classList.add('hidden');
+            return;
+        }
+
+        if (status.isClosed) {
+            heroDeadline.textContent = this.t('hero.rsvpClosed');
+        } else {
+            const formattedDate = window.Helpers
+                ? window.Helpers.formatDate(status.deadline)
+                : status.deadline.toDateString();
+            heroDeadline.textContent = this.t('hero.rsvpBy', { date: formattedDate });
+        }
+
+        heroDeadline.classList.toggle('closing-soon', !!status.isClosingSoon);
+        heroDeadline.classList.remove('hidden');
+    }
+
+    updateCalendar() {
+        const heroCalendar = document.getElementById('hero-calendar');
+        if (!heroCalendar) return;
+
+        if (window.CalendarService) {
+            window.CalendarService.renderCalendarMenu(heroCalendar);
+        } else {
+            heroCalendar.classList.add('hidden');
+        }
+    }
+
     updateHeroImage(imageSrc, altText = '') {
         const heroImg = document.getElementById('hero-img');
         if (heroImg) {
@@ -291,51 +376,116 @@ class HeroComponent {
         }
     }
 
-    // Add countdown functionality
-    startCountdown(targetDate) {
-        const eventDate = document.getElementById('event-date');
-        if (!eventDate || !targetDate) return;
+    // Start the countdown when features.countdown is on and the event has a start time
+    setupCountdown() {
+        const config = window.App ? window.App.getConfig() : null;
+        if (!config?.features?.countdown) return;
+
+        if (!config.event?.start) {
+            console.warn('⚠️ Countdown enabled but event.start is not set');
+            return;
+        }
+
+        const eventWindow = this.getEventWindow();
+        if (eventWindow) {
+            this.startCountdown(eventWindow.start, eventWindow.end);
+        }
+    }
+
+    // The event runs from the first schedule item (or event.start) until event.end
+    getEventWindow() {
+        const event = window.CalendarService ? window.CalendarService.getEvent() : null;
+        if (!event) return null;
+
+        const firstItem = event.schedule[0];
+        const start = firstItem && firstItem.start < event.start ? firstItem.start : event.start;
+
+        return { start, end: event.end };
+    }
+
+    // Countdown alongside the event date; targetDate/endDate are Dates or wall-clock strings in event.timezone
+    startCountdown(targetDate, endDate = null) {
+        const countdown = document.getElementById('event-countdown');
+        if (!countdown || !targetDate) return;
+
+        const config = window.App ? window.App.getConfig() : null;
+        const timezone = config?.event?.timezone;
+        const toDate = (value) => (value instanceof Date || !window.Helpers
+            ? new Date(value)
+            : window.Helpers.zonedTimeToUtc(value, timezone));
+
+        const target = toDate(targetDate);
+        if (!target || isNaN(target.getTime())) {
+            console.warn('⚠️ Invalid countdown target:', targetDate);
+            return;
+        }
+
+        const end = endDate ? toDate(endDate) : new Date(target.getTime() + 3 * 60 * 60 * 1000);
+        const startingSoonMs = (config?.countdown?.startingSoonMinutes ?? 60) * 60 * 1000;
+
+        this.stopCountdown();
+        countdown.classList.remove('hidden');
 
         const updateCountdown = () => {
-            const now = new Date().getTime();
-            const target = new Date(targetDate).getTime();
-            const difference = target - now;
-
-            if (difference > 0) {
-                const days = Math.floor(difference / (1000 * 60 * 60 * 24));
-                const hours = Math.floor((difference % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-                const minutes = Math.floor((difference % (1000 * 60 * 60)) / (1000 * 60));
-                const seconds = Math.floor((difference % (1000 * 60)) / 1000);
-
-                eventDate.innerHTML = `
-                    <div class="countdown">
-                        <div class="countdown-item">
-                            <span class="countdown-number">${days}</span>
-                            <span class="countdown-label">Days</span>
-                        </div>
-                        <div class="countdown-item">
-                            <span class="countdown-number">${hours}</span>
-                            <span class="countdown-label">Hours</span>
-                        </div>
-                        <div class="countdown-item">
-                            <span class="countdown-number">${minutes}</span>
-                            <span class="countdown-label">Minutes</span>
-                        </div>
-                        <div class="countdown-item">
-                            <span class="countdown-number">${seconds}</span>
-                            <span class="countdown-label">Seconds</span>
-                        </div>
-                    </div>
-                `;
+            const now = Date.now();
+            const difference = target.getTime() - now;
+            let phase;
+
+            if (now >= end.getTime()) {
+                phase = 'ended';
+            } else if (difference <= 0) {
+                phase = 'live';
+            } else if (difference <= startingSoonMs) {
+                phase = 'starting-soon';
             } else {
-                eventDate.innerHTML = '<span class="event-live">🎉 Event is Live!</span>';
-                clearInterval(this.countdownInterval);
+                phase = 'upcoming';
+            }
+
+            if (phase !== this.countdownPhase) {
+                this.countdownPhase = phase;
+                countdown.dataset.phase = phase;
+                this.emit('countdown:phase', { phase, target, end });
+            }
+
+            if (phase === 'ended') {
+                countdown.innerHTML = `<span class="countdown-message">${this.t('countdown.ended')}</span>`;
+                this.stopCountdown();
+                return;
+            }
+
+            if (phase === 'live') {
+                countdown.innerHTML = `<span class="countdown-message event-live">${this.t('countdown.live')}</span>`;
+                return;
             }
+
+            const days = Math.floor(difference / (1000 * 60 * 60 * 24));
+            const hours = Math.floor((difference % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+            const minutes = Math.floor((difference % (1000 * 60 * 60)) / (1000 * 60));
+            const seconds = Math.floor((difference % (1000 * 60)) / 1000);
+
+            const items = [
+                [days, 'countdown.days'],
+                [hours, 'countdown.hours'],
+                [minutes, 'countdown.minutes'],
+                [seconds, 'countdown.seconds']
+            ].map(([value, label]) => `
+                <div class="countdown-item">
+                    <span class="countdown-number">${value}</span>
+                    <span class="countdown-label">${this.t(label, { count: value })}</span>
+                </div>
+            `).join('');
+
+            countdown.innerHTML = `
+                ${phase === 'starting-soon' ? `<span class="countdown-message">${this.t('countdown.startingSoon')}</span>` : ''}
+                <div class="countdown">${items}</div>
+            `;
         };
 
         // Update immediately and then every second
         updateCountdown();
-        this.countdownInterval = setInterval(updateCountdown, 1000);
+        if (this.countdownPhase !== 'ended') {
+            this.countdownInterval = setInterval(updateCountdown, 1000);
+        }
     }
 
     stopCountdown() {
@@ -345,6 +495,33 @@ class HeroComponent {
         }
     }
 
+    // Re-render the generated text in the new language
+    updateLanguage() {
+        this.updateGreeting(window.GuestService ? window.GuestService.getInvitation() : null);
+        this.updateCalendar();
+
+        if (this.deadlineStatus) {
+            this.updateDeadline(this.deadlineStatus);
+        }
+
+        // The ended message isn't refreshed by the timer, so render it again
+        if (this.countdownPhase) {
+            this.setupCountdown();
+        }
+    }
+
+    shouldAnimate() {
+        return window.MotionService ? window.MotionService.shouldAnimate() : true;
+    }
+
+    getDuration(ms) {
+        return window.MotionService ? window.MotionService.getDuration(ms) : ms;
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
     emit(eventType, data = null) {
         if (window.EventBus) {
             window.EventBus.emit(eventType, data);
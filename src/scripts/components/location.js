@@ -0,0 +1,298 @@
+// Location Component - Venue map, details and navigation links
+class LocationComponent {
+    constructor() {
+        this.isInitialized = false;
+        this.location = null;
+        this.mapLoaded = false;
+        this.mapLoadTimer = null;
+        this.mapPending = false;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.updateFromConfig = this.updateFromConfig.bind(this);
+        this.renderMap = this.renderMap.bind(this);
+        this.handleConnectionChange = this.handleConnectionChange.bind(this);
+    }
+
+    async init() {
+        try {
+            console.log('📍 Initializing Location Component');
+
+            const config = window.App ? window.App.getConfig() : null;
+            if (!config?.features?.locationMap) {
+                return;
+            }
+
+            // Update content from config
+            this.updateFromConfig();
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ Location Component initialized');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize Location Component:', error);
+        }
+    }
+
+    updateFromConfig() {
+        const config = window.App ? window.App.getConfig() : null;
+        const container = document.getElementById('venue-location');
+        this.location = config?.details?.location || null;
+
+        if (!container || !this.location) return;
+
+        this.updateContent('venue-name', this.location.name);
+        this.updateContent('venue-address', this.location.address);
+        this.updateContent('venue-parking', this.location.parkingInfo);
+        this.updateContent('venue-directions', this.location.directions);
+
+        this.renderMap();
+        this.renderNavigationLinks();
+
+        container.classList.remove('hidden');
+    }
+
+    // Fill an element and hide its row when there's nothing to show
+    updateContent(elementId, text) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        element.textContent = text || '';
+
+        const row = element.closest('.venue-detail');
+        if (row) {
+            row.classList.toggle('hidden', !text);
+        }
+    }
+
+    setupEventListeners() {
+        window.addEventListener('online', this.handleConnectionChange);
+        window.addEventListener('offline', this.handleConnectionChange);
+
+        if (window.EventBus) {
+            window.EventBus.on('language:changed', () => this.renderNavigationLinks());
+
+            // The map only loads once its section is on screen
+            window.EventBus.on('navigation:change', (data) => {
+                if (data.section === 'details') {
+                    this.onSectionEnter();
+                } else {
+                    clearTimeout(this.mapLoadTimer);
+                }
+            });
+        }
+    }
+
+    onSectionEnter() {
+        if (this.mapPending) {
+            this.renderMap();
+        } else if (!this.mapLoaded && document.querySelector('#venue-map iframe')) {
+            this.startMapTimer();
+        }
+    }
+
+    isSectionVisible() {
+        return !window.Router || window.Router.getCurrentSection() === 'details';
+    }
+
+    handleConnectionChange() {
+        // Retry the live map when the connection comes back
+        if (navigator.onLine && !this.mapLoaded) {
+            this.renderMap();
+        } else if (!navigator.onLine && !this.mapLoaded) {
+            this.showStaticMap();
+        }
+    }
+
+    getCoordinates() {
+        const coordinates = this.location?.coordinates;
+        if (!coordinates) return null;
+
+        const lat = parseFloat(coordinates.lat);
+        const lng = parseFloat(coordinates.lng);
+
+        if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            console.warn('⚠️ Invalid venue coordinates:', coordinates);
+            return null;
+        }
+
+        return { lat, lng };
+    }
+
+    getEmbedUrl() {
+        const coordinates = this.getCoordinates();
+        const zoom = this.location.mapZoom || 15;
+
+        if (this.location.mapProvider === 'google') {
+            const query = coordinates ? `${coordinates.lat},${coordinates.lng}` : this.location.address;
+            if (!query) return null;
+            return `https://maps.google.com/maps?q=${encodeURIComponent(query)}&z=${zoom}&output=embed`;
+        }
+
+        // OpenStreetMap needs a bounding box around the marker
+        if (!coordinates) return null;
+
+        const span = 0.01 * Math.pow(2, 15 - zoom);
+        const bbox = [
+            coordinates.lng - span,
+            coordinates.lat - span / 2,
+            coordinates.lng + span,
+            coordinates.lat + span / 2
+        ].map(value => value.toFixed(5)).join(',');
+
+        return `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${coordinates.lat},${coordinates.lng}`;
+    }
+
+    renderMap() {
+        const mapContainer = document.getElementById('venue-map');
+        if (!mapContainer || !this.location) return;
+
+        const embedUrl = this.getEmbedUrl();
+
+        if (!embedUrl || navigator.onLine === false) {
+            this.showStaticMap();
+            return;
+        }
+
+        // Hidden sections don't load lazy iframes, so the timeout would always win
+        if (!this.isSectionVisible()) {
+            this.mapPending = true;
+            return;
+        }
+
+        clearTimeout(this.mapLoadTimer);
+        this.mapPending = false;
+        this.mapLoaded = false;
+        mapContainer.innerHTML = '';
+
+        const iframe = document.createElement('iframe');
+        iframe.src = embedUrl;
+        iframe.title = this.t('location.mapTitle', { name: this.location.name || this.t('location.theVenue') });
+        iframe.loading = 'lazy';
+        iframe.referrerPolicy = 'no-referrer-when-downgrade';
+        iframe.setAttribute('allowfullscreen', '');
+
+        iframe.addEventListener('load', () => {
+            this.mapLoaded = true;
+            clearTimeout(this.mapLoadTimer);
+        });
+
+        mapContainer.appendChild(iframe);
+        mapContainer.classList.remove('hidden');
+
+        this.startMapTimer();
+    }
+
+    // Blocked or very slow maps fall back to the picture
+    startMapTimer() {
+        clearTimeout(this.mapLoadTimer);
+        this.mapLoadTimer = setTimeout(() => {
+            if (!this.mapLoaded) {
+                this.showStaticMap();
+            }
+        }, this.location.mapTimeout || 10000);
+    }
+
+    showStaticMap() {
+        const mapContainer = document.getElementById('venue-map');
+        if (!mapContainer || !this.location) return;
+
+        clearTimeout(this.mapLoadTimer);
+        this.mapPending = false;
+        mapContainer.innerHTML = '';
+
+        if (!this.location.staticMapImage) {
+            mapContainer.classList.add('hidden');
+            return;
+        }
+
+        const image = document.createElement('img');
+        image.src = this.location.staticMapImage;
+        image.alt = this.t('location.mapTitle', { name: this.location.name || this.t('location.theVenue') });
+        image.className = 'venue-static-map';
+
+        mapContainer.appendChild(image);
+        mapContainer.classList.remove('hidden');
+    }
+
+    getNavigationLinks() {
+        const coordinates = this.getCoordinates();
+        const address = this.location.address || this.location.name || '';
+        const label = encodeURIComponent(this.location.name || address);
+
+        if (!coordinates && !address) return [];
+
+        const position = coordinates ? `${coordinates.lat},${coordinates.lng}` : null;
+
+        return [
+            {
+                id: 'google',
+                label: 'Google Maps',
+                url: position
+                    ? `https://www.google.com/maps/search/?api=1&query=${position}`
+                    : (this.location.mapUrl || `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`)
+            },
+            {
+                id: 'waze',
+                label: 'Waze',
+                url: position
+                    ? `https://waze.com/ul?ll=${position}&navigate=yes`
+                    : `https://waze.com/ul?q=${encodeURIComponent(address)}&navigate=yes`
+            },
+            {
+                id: 'apple',
+                label: 'Apple Maps',
+                url: position
+                    ? `https://maps.apple.com/?ll=${position}&q=${label}`
+                    : `https://maps.apple.com/?q=${encodeURIComponent(address)}`
+            }
+        ];
+    }
+
+    renderNavigationLinks() {
+        const linksContainer = document.getElementById('venue-links');
+        if (!linksContainer) return;
+
+        linksContainer.innerHTML = '';
+
+        this.getNavigationLinks().forEach(link => {
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.className = 'btn btn-secondary';
+            anchor.dataset.provider = link.id;
+            anchor.textContent = this.t('location.openIn', { provider: link.label });
+            anchor.addEventListener('click', () => {
+                this.emit('location:navigate', { provider: link.id });
+            });
+            linksContainer.appendChild(anchor);
+        });
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+
+    // Cleanup method
+    destroy() {
+        clearTimeout(this.mapLoadTimer);
+        window.removeEventListener('online', this.handleConnectionChange);
+        window.removeEventListener('offline', this.handleConnectionChange);
+
+        this.isInitialized = false;
+        console.log('📍 Location Component destroyed');
+    }
+}
+
+// Make available globally
+window.LocationComponent = LocationComponent;
@@ -11,6 +11,8 @@ class NavigationComponent {
         this.handleResize = this.handleResize.bind(this);
         this.handleScroll = this.handleScroll.bind(this);
         this.updateActiveLink = this.updateActiveLink.bind(this);
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+        this.handleThemeChange = this.handleThemeChange.bind(this);
     }
 
     async init() {
@@ -25,6 +27,12 @@ class NavigationComponent {
             
             // Setup scroll detection
             this.setupScrollDetection();
+
+            // Offer the configured languages
+            this.setupLanguageSwitcher();
+
+            // Let guests pick a theme (features.themeSwitcher)
+            this.setupThemeSwitcher();
             
             this.isInitialized = true;
             console.log('✅ Navigation Component initialized');
@@ -148,6 +156,99 @@ class NavigationComponent {
         }
     }
 
+    setupLanguageSwitcher() {
+        const switcher = document.getElementById('language-switcher');
+        const select = document.getElementById('language-select');
+        if (!switcher || !select || !window.I18nService) return;
+
+        const languages = window.I18nService.getLanguages();
+        if (languages.length < 2) {
+            switcher.classList.add('hidden');
+            return;
+        }
+
+        select.innerHTML = '';
+        languages.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.code;
+            option.textContent = language.name;
+            option.lang = language.code;
+            select.appendChild(option);
+        });
+
+        select.value = window.I18nService.getLanguage();
+        select.addEventListener('change', this.handleLanguageChange);
+        switcher.classList.remove('hidden');
+
+        // Keep the switcher in sync when the language is changed elsewhere
+        if (window.EventBus) {
+            window.EventBus.on('language:changed', (data) => {
+                select.value = data.language;
+            });
+        }
+    }
+
+    handleLanguageChange(event) {
+        if (window.I18nService) {
+            window.I18nService.setLanguage(event.target.value);
+        }
+        this.closeMobileMenu();
+    }
+
+    setupThemeSwitcher() {
+        const switcher = document.getElementById('theme-switcher');
+        const select = document.getElementById('theme-select');
+        const config = window.App ? window.App.getConfig() : null;
+        if (!switcher || !select || !config || !config.features.themeSwitcher) return;
+
+        this.renderThemeOptions();
+        select.addEventListener('change', this.handleThemeChange);
+        switcher.classList.remove('hidden');
+
+        if (window.EventBus) {
+            // Keep the switcher in sync when the theme is changed elsewhere
+            window.EventBus.on('theme:changed', (data) => {
+                select.value = data.choice;
+            });
+
+            window.EventBus.on('language:changed', () => this.renderThemeOptions());
+        }
+    }
+
+    // "Match my device" first, then every theme defined in theme.css
+    renderThemeOptions() {
+        const select = document.getElementById('theme-select');
+        if (!select || !window.App) return;
+
+        const themes = ['auto', ...window.App.getAvailableThemes()];
+
+        select.innerHTML = '';
+        themes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme;
+            option.textContent = this.getThemeLabel(theme);
+            select.appendChild(option);
+        });
+
+        select.value = window.App.getThemeChoice();
+    }
+
+    // Themes added to theme.css without a translation are shown by name
+    getThemeLabel(theme) {
+        const key = `themes.${theme}`;
+        if (window.I18nService && window.I18nService.has(key)) {
+            return window.I18nService.t(key);
+        }
+        return theme.charAt(0).toUpperCase() + theme.slice(1);
+    }
+
+    handleThemeChange(event) {
+        if (window.App) {
+            window.App.setTheme(event.target.value);
+        }
+        this.closeMobileMenu();
+    }
+
     handleMobileToggle(event) {
         event.preventDefault();
         event.stopPropagation();
@@ -332,6 +433,16 @@ class NavigationComponent {
         window.removeEventListener('resize', this.handleResize);
         window.removeEventListener('scroll', this.handleScroll);
 
+        const languageSelect = document.getElementById('language-select');
+        if (languageSelect) {
+            languageSelect.removeEventListener('change', this.handleLanguageChange);
+        }
+
+        const themeSelect = document.getElementById('theme-select');
+        if (themeSelect) {
+            themeSelect.removeEventListener('change', this.handleThemeChange);
+        }
+
         // Clear state
         this.isMobileMenuOpen = false;
         this.isInitialized = false;
@@ -0,0 +1,138 @@
+// Privacy Component - Passphrase unlock for encrypted storage and "forget my data on this device"
+class PrivacyComponent {
+    constructor() {
+        this.isInitialized = false;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.handleUnlock = this.handleUnlock.bind(this);
+        this.handleForget = this.handleForget.bind(this);
+        this.updateUnlockForm = this.updateUnlockForm.bind(this);
+    }
+
+    async init() {
+        try {
+            console.log('🛡️ Initializing Privacy Component');
+
+            this.setupEventListeners();
+            this.updateUnlockForm();
+
+            this.isInitialized = true;
+            console.log('✅ Privacy Component initialized');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize Privacy Component:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const unlockForm = document.getElementById('storage-unlock');
+        if (unlockForm) {
+            unlockForm.addEventListener('submit', this.handleUnlock);
+        }
+
+        const forgetButton = document.getElementById('forget-data');
+        if (forgetButton) {
+            forgetButton.addEventListener('click', this.handleForget);
+        }
+
+        if (window.EventBus) {
+            window.EventBus.on('language:changed', this.updateUnlockForm);
+        }
+    }
+
+    // Shown while a passphrase is needed: to open earlier replies, or to start keeping them
+    updateUnlockForm() {
+        const form = document.getElementById('storage-unlock');
+        if (!form) return;
+
+        const storage = window.StorageService;
+        const needsPassphrase = !!storage && storage.isLocked() && storage.encryptionConfig.keySource === 'passphrase';
+        form.classList.toggle('hidden', !needsPassphrase);
+        if (!needsPassphrase) return;
+
+        const label = form.querySelector('label[for="storage-passphrase"]');
+        if (label) {
+            label.textContent = this.t(storage.hasLockedData() ? 'privacy.unlockLabel' : 'privacy.setupLabel');
+        }
+
+        const input = document.getElementById('storage-passphrase');
+        if (input) {
+            input.autocomplete = storage.hasLockedData() ? 'current-password' : 'new-password';
+        }
+    }
+
+    async handleUnlock(event) {
+        event.preventDefault();
+
+        const input = document.getElementById('storage-passphrase');
+        const passphrase = input ? input.value : '';
+        if (!passphrase || !window.StorageService) return;
+
+        try {
+            if (!(await window.StorageService.unlock(passphrase))) {
+                this.showUnlockError(this.t('privacy.wrongPassphrase'));
+                return;
+            }
+        } catch (error) {
+            console.error('❌ Could not unlock stored data:', error);
+            this.showUnlockError(this.t('privacy.unavailable'));
+            return;
+        }
+
+        if (input) input.value = '';
+        this.showUnlockError('');
+        this.updateUnlockForm();
+    }
+
+    showUnlockError(message) {
+        const error = document.getElementById('storage-unlock-error');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    // Starts over from a clean page so nothing read before the wipe stays on screen
+    async handleForget() {
+        if (!window.StorageService || !window.confirm(this.t('privacy.confirmForget'))) {
+            return;
+        }
+
+        try {
+            await window.StorageService.forgetMyData();
+            window.location.replace(window.location.pathname);
+        } catch (error) {
+            console.error('❌ Failed to forget stored data:', error);
+
+            const status = document.getElementById('forget-data-status');
+            if (status) {
+                status.textContent = this.t('privacy.forgetFailed');
+                status.classList.remove('hidden');
+            }
+        }
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
+    // Cleanup method
+    destroy() {
+        const unlockForm = document.getElementById('storage-unlock');
+        if (unlockForm) {
+            unlockForm.removeEventListener('submit', this.handleUnlock);
+        }
+
+        const forgetButton = document.getElementById('forget-data');
+        if (forgetButton) {
+            forgetButton.removeEventListener('click', this.handleForget);
+        }
+
+        this.isInitialized = false;
+        console.log('🛡️ Privacy Component destroyed');
+    }
+}
+
+// Make available globally
+window.PrivacyComponent = PrivacyComponent;
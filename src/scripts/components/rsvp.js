@@ -4,6 +4,13 @@ class RSVPComponent {
         this.isInitialized = false;
         this.formData = {};
         this.isSubmitting = false;
+        this.customQuestions = [];
+        this.customFieldPrefix = 'custom_';
+        this.partyFieldPrefix = 'party_';
+        this.mealFieldPrefix = 'meal_';
+        this.mode = 'new';
+        this.existingRSVP = null;
+        this.editReference = null;
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -24,6 +31,14 @@ class RSVPComponent {
             
             // Setup event listeners
             this.setupEventListeners();
+
+            // Open or close the form based on the RSVP deadline
+            this.applyDeadline();
+
+            // Offer to change a response made earlier
+            if (!this.getDeadlineStatus().isClosed) {
+                this.restoreExistingRSVP();
+            }
             
             this.isInitialized = true;
             console.log('✅ RSVP Component initialized');
@@ -37,6 +52,15 @@ class RSVPComponent {
         const form = document.getElementById('rsvp-form');
         if (!form) return;
 
+        // Apply config-driven rules to the static fields
+        this.applyFormRules();
+
+        // Render the menu choices for the invitee
+        this.renderMenu();
+
+        // Render configured custom questions before wiring up validation
+        this.renderCustomQuestions();
+
         // Add form validation classes
         const inputs = form.querySelectorAll('input, select, textarea');
         inputs.forEach(input => {
@@ -57,12 +81,583 @@ class RSVPComponent {
         }
     }
 
+    getRSVPConfig() {
+        const config = window.App ? window.App.getConfig() : null;
+        return config?.rsvp || {};
+    }
+
+    getInvitation() {
+        return window.GuestService ? window.GuestService.getInvitation() : null;
+    }
+
+    getMaxGuests() {
+        const configMax = parseInt(this.getRSVPConfig().maxGuestsPerInvitation, 10);
+        const max = configMax > 0 ? configMax : 10;
+
+        // A personalised invitation can only lower the limit
+        const invitation = this.getInvitation();
+        if (invitation && invitation.maxGuests) {
+            return Math.min(max, invitation.maxGuests);
+        }
+
+        return max;
+    }
+
+    isMaybeAllowed() {
+        return this.getRSVPConfig().allowMaybe !== false;
+    }
+
+    isPhoneRequired() {
+        return this.getRSVPConfig().requirePhoneNumber === true;
+    }
+
+    applyFormRules() {
+        // Remove the "maybe" option when it isn't accepted
+        const attendanceSelect = document.getElementById('attendance');
+        if (attendanceSelect && !this.isMaybeAllowed()) {
+            const maybeOption = attendanceSelect.querySelector('option[value="maybe"]');
+            if (maybeOption) {
+                maybeOption.remove();
+            }
+        }
+
+        // Mark the phone number as required
+        const phoneField = document.getElementById('guest-phone');
+        if (phoneField) {
+            phoneField.required = this.isPhoneRequired();
+
+            const phoneLabel = document.querySelector('label[for="guest-phone"]');
+            if (phoneLabel) {
+                phoneLabel.textContent = this.t(this.isPhoneRequired() ? 'rsvp.phoneRequired' : 'rsvp.phone');
+            }
+        }
+
+        // Limit the party size
+        const guestCountInput = document.getElementById('guest-count');
+        if (guestCountInput) {
+            const maxGuests = this.getMaxGuests();
+            guestCountInput.min = 1;
+            guestCountInput.max = maxGuests;
+
+            if (parseInt(guestCountInput.value, 10) > maxGuests) {
+                guestCountInput.value = maxGuests;
+            }
+
+            // Nothing to choose when only the invitee is invited
+            const guestCountGroup = guestCountInput.closest('.form-group');
+            if (guestCountGroup) {
+                guestCountGroup.classList.toggle('hidden', maxGuests === 1);
+            }
+        }
+
+        // Pre-fill details from a personalised invitation
+        const invitation = this.getInvitation();
+        if (invitation) {
+            this.prefillForm({
+                guestName: invitation.name,
+                guestEmail: invitation.email
+            });
+        }
+    }
+
+    renderCustomQuestions() {
+        const form = document.getElementById('rsvp-form');
+        if (!form) return;
+
+        this.customQuestions = this.getCustomQuestions();
+        if (this.customQuestions.length === 0) return;
+
+        const container = document.createElement('div');
+        container.id = 'rsvp-custom-questions';
+        container.className = 'rsvp-custom-questions';
+
+        this.customQuestions.forEach(question => {
+            const field = this.createQuestionField(question);
+            if (field) {
+                container.appendChild(field);
+            }
+        });
+
+        // Keep free-form comments as the last field of the form
+        const commentsField = document.getElementById('comments');
+        const anchor = commentsField
+            ? commentsField.closest('.form-group')
+            : form.querySelector('.submit-button');
+
+        form.insertBefore(container, anchor);
+    }
+
+    getCustomQuestions() {
+        const config = window.App ? window.App.getConfig() : null;
+        const questions = config?.rsvp?.customQuestions;
+        if (!Array.isArray(questions)) return [];
+
+        const supportedTypes = ['text', 'textarea', 'select', 'radio', 'checkbox', 'number'];
+
+        return questions.filter(question => {
+            if (!question || !question.id || !question.label) {
+                console.warn('⚠️ Skipping RSVP question without id or label:', question);
+                return false;
+            }
+
+            if (!supportedTypes.includes(question.type || 'text')) {
+                console.warn(`⚠️ Unsupported RSVP question type "${question.type}" for: ${question.id}`);
+                return false;
+            }
+
+            if (['select', 'radio'].includes(question.type) && !this.getQuestionOptions(question).length) {
+                console.warn(`⚠️ RSVP question "${question.id}" needs options`);
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    getQuestionOptions(question) {
+        if (!Array.isArray(question.options)) return [];
+
+        // Options can be plain strings or { value, label } objects
+        return question.options.map(option => (
+            typeof option === 'object'
+                ? { value: String(option.value), label: option.label || String(option.value) }
+                : { value: String(option), label: String(option) }
+        ));
+    }
+
+    createQuestionField(question) {
+        const type = question.type || 'text';
+        const fieldId = `custom-${question.id}`;
+        const fieldName = this.customFieldPrefix + question.id;
+        const options = this.getQuestionOptions(question);
+
+        const formGroup = document.createElement('div');
+        formGroup.className = 'form-group custom-question';
+        formGroup.dataset.questionId = question.id;
+
+        const labelText = question.required ? `${question.label} *` : question.label;
+
+        // Radio buttons and checkbox lists are grouped under a single caption
+        if (type === 'radio' || (type === 'checkbox' && options.length > 0)) {
+            const caption = document.createElement('span');
+            caption.className = 'form-label';
+            caption.id = `${fieldId}-label`;
+            caption.textContent = labelText;
+            formGroup.appendChild(caption);
+
+            const choiceGroup = document.createElement('div');
+            choiceGroup.className = 'choice-group';
+            choiceGroup.setAttribute('role', type === 'radio' ? 'radiogroup' : 'group');
+            choiceGroup.setAttribute('aria-labelledby', caption.id);
+
+            options.forEach((option, index) => {
+                choiceGroup.appendChild(this.createChoiceOption(type, fieldName, `${fieldId}-${index}`, option));
+            });
+
+            formGroup.appendChild(choiceGroup);
+            return formGroup;
+        }
+
+        // A checkbox without options is a single yes/no toggle
+        if (type === 'checkbox') {
+            const choice = this.createChoiceOption('checkbox', fieldName, fieldId, {
+                value: 'yes',
+                label: labelText
+            });
+            formGroup.appendChild(choice);
+            return formGroup;
+        }
+
+        const label = document.createElement('label');
+        label.setAttribute('for', fieldId);
+        label.textContent = labelText;
+        formGroup.appendChild(label);
+
+        let field;
+        if (type === 'textarea') {
+            field = document.createElement('textarea');
+            field.rows = question.rows || 3;
+        } else if (type === 'select') {
+            field = document.createElement('select');
+
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = question.placeholder || this.t('common.pleaseSelect');
+            field.appendChild(placeholder);
+
+            options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option.value;
+                optionElement.textContent = option.label;
+                field.appendChild(optionElement);
+            });
+        } else {
+            field = document.createElement('input');
+            field.type = type;
+
+            if (type === 'number') {
+                if (question.min !== undefined) field.min = question.min;
+                if (question.max !== undefined) field.max = question.max;
+                if (question.step !== undefined) field.step = question.step;
+            }
+        }
+
+        field.id = fieldId;
+        field.name = fieldName;
+
+        if (question.placeholder && type !== 'select') {
+            field.placeholder = question.placeholder;
+        }
+
+        if (question.required) {
+            field.required = true;
+        }
+
+        formGroup.appendChild(field);
+        return formGroup;
+    }
+
+    createChoiceOption(type, name, id, option) {
+        const label = document.createElement('label');
+        label.className = 'choice-option';
+        label.setAttribute('for', id);
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.id = id;
+        input.name = name;
+        input.value = option.value;
+
+        const text = document.createElement('span');
+        text.textContent = option.label;
+
+        label.appendChild(input);
+        label.appendChild(text);
+
+        return label;
+    }
+
+    getMenuCourses() {
+        const config = window.App ? window.App.getConfig() : null;
+        const menu = config?.menu;
+        if (!menu || !menu.enabled || !Array.isArray(menu.courses)) return [];
+
+        return menu.courses.filter(course => (
+            course && course.id && Array.isArray(course.options) && course.options.length > 0
+        ));
+    }
+
+    renderMenu() {
+        const form = document.getElementById('rsvp-form');
+        const courses = this.getMenuCourses();
+        if (!form || courses.length === 0) return;
+
+        const fieldset = document.createElement('fieldset');
+        fieldset.id = 'rsvp-menu';
+        fieldset.className = 'meal-selection';
+
+        const legend = document.createElement('legend');
+        legend.textContent = this.t('rsvp.yourMeal');
+        fieldset.appendChild(legend);
+
+        this.createMealFields(this.mealFieldPrefix, 'meal').forEach(group => fieldset.appendChild(group));
+
+        // Menu choices sit just above the free-text dietary requirements
+        const dietaryField = document.getElementById('dietary-requirements');
+        const anchor = dietaryField ? dietaryField.closest('.form-group') : form.querySelector('.submit-button');
+        form.insertBefore(fieldset, anchor);
+    }
+
+    createMealFields(namePrefix, idPrefix) {
+        return this.getMenuCourses().map(course => {
+            const fieldId = `${idPrefix}-${course.id}`;
+
+            const formGroup = document.createElement('div');
+            formGroup.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.setAttribute('for', fieldId);
+            label.textContent = course.required ? `${course.name} *` : course.name;
+            formGroup.appendChild(label);
+
+            const select = document.createElement('select');
+            select.id = fieldId;
+            select.name = namePrefix + course.id;
+            select.required = !!course.required;
+
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = this.t(course.required ? 'common.pleaseSelect' : 'rsvp.noPreference');
+            select.appendChild(placeholder);
+
+            course.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option.id;
+                optionElement.textContent = this.formatMenuOption(option);
+                if (option.description) {
+                    optionElement.title = option.description;
+                }
+                select.appendChild(optionElement);
+            });
+
+            select.addEventListener('blur', () => this.validateField(select));
+            select.addEventListener('change', () => this.clearFieldError(select));
+
+            formGroup.appendChild(select);
+            return formGroup;
+        });
+    }
+
+    formatMenuOption(option) {
+        const allergens = Array.isArray(option.allergens) ? option.allergens : [];
+        return allergens.length > 0
+            ? this.t('rsvp.menuOptionAllergens', { name: option.name, allergens: allergens.join(', ') })
+            : option.name;
+    }
+
+    // Menu names come from the config; only the placeholder and allergen note are translated
+    updateMealLabels() {
+        this.getMenuCourses().forEach(course => {
+            document.querySelectorAll(`#rsvp-form select[name$="${this.mealFieldPrefix}${course.id}"]`).forEach(select => {
+                Array.from(select.options).forEach(optionElement => {
+                    if (!optionElement.value) {
+                        optionElement.textContent = this.t(course.required ? 'common.pleaseSelect' : 'rsvp.noPreference');
+                        return;
+                    }
+
+                    const option = course.options.find(item => item.id === optionElement.value);
+                    if (option) {
+                        optionElement.textContent = this.formatMenuOption(option);
+                    }
+                });
+            });
+        });
+    }
+
+    collectMealSelections(container, namePattern) {
+        if (!container) return [];
+
+        return this.getMenuCourses().reduce((selections, course) => {
+            const select = container.querySelector(`select[name${namePattern}${course.id}"]`);
+            if (!select || !select.value) return selections;
+
+            const option = course.options.find(item => item.id === select.value);
+            selections.push({
+                courseId: course.id,
+                course: course.name,
+                optionId: select.value,
+                option: option ? option.name : select.value
+            });
+
+            return selections;
+        }, []);
+    }
+
+    getPartyConfig() {
+        const partyConfig = this.getRSVPConfig().partyMembers || {};
+
+        return {
+            ageGroups: Array.isArray(partyConfig.ageGroups) && partyConfig.ageGroups.length
+                ? partyConfig.ageGroups
+                : ['Adult', 'Child'],
+            mealChoices: Array.isArray(partyConfig.mealChoices) ? partyConfig.mealChoices : []
+        };
+    }
+
+    renderPartyMembers(guestCount) {
+        const form = document.getElementById('rsvp-form');
+        const guestCountInput = document.getElementById('guest-count');
+        if (!form || !guestCountInput) return;
+
+        let container = document.getElementById('rsvp-party-members');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'rsvp-party-members';
+            container.className = 'rsvp-party-members';
+
+            const guestCountGroup = guestCountInput.closest('.form-group');
+            form.insertBefore(container, guestCountGroup ? guestCountGroup.nextSibling : null);
+        }
+
+        // The guest filling in the form is attendee 1
+        const memberCount = Math.max(0, guestCount - 1);
+        const members = container.querySelectorAll('.party-member');
+
+        // Add or remove attendees without losing what was already typed
+        for (let index = members.length; index < memberCount; index++) {
+            container.appendChild(this.createPartyMemberFields(index));
+        }
+
+        for (let index = members.length - 1; index >= memberCount; index--) {
+            members[index].remove();
+        }
+
+        const attendance = document.getElementById('attendance');
+        const isDeclining = attendance && attendance.value === 'no';
+        container.classList.toggle('hidden', memberCount === 0 || isDeclining);
+    }
+
+    createPartyMemberFields(index) {
+        const { ageGroups, mealChoices } = this.getPartyConfig();
+        const prefix = `${this.partyFieldPrefix}${index}_`;
+        const idPrefix = `party-${index}`;
+
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'party-member';
+        fieldset.dataset.memberIndex = index;
+
+        const legend = document.createElement('legend');
+        legend.textContent = this.t('rsvp.party.guest', { number: index + 2 });
+        fieldset.appendChild(legend);
+
+        const fields = [
+            { key: 'name', label: this.t('rsvp.party.name'), type: 'text', required: true },
+            { key: 'ageGroup', label: this.t('rsvp.party.ageGroup'), type: 'select', options: ageGroups, required: true },
+            { key: 'meal', label: this.t('rsvp.party.meal'), type: 'select', options: mealChoices },
+            { key: 'dietaryRequirements', label: this.t('rsvp.party.dietary'), type: 'text' }
+        ];
+
+        const hasMenu = this.getMenuCourses().length > 0;
+
+        fields.forEach(definition => {
+            // Meal choice is only offered when the config lists options
+            if (definition.type === 'select' && definition.options.length === 0) return;
+
+            // The menu replaces the simple meal choice with one choice per course
+            if (definition.key === 'meal' && hasMenu) {
+                this.createMealFields(`${prefix}meal_`, `${idPrefix}-meal`).forEach(group => {
+                    fieldset.appendChild(group);
+                });
+                return;
+            }
+
+            const formGroup = document.createElement('div');
+            formGroup.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.setAttribute('for', `${idPrefix}-${definition.key}`);
+            label.textContent = definition.label;
+            formGroup.appendChild(label);
+
+            let field;
+            if (definition.type === 'select') {
+                field = document.createElement('select');
+
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = this.t('common.pleaseSelect');
+                field.appendChild(placeholder);
+
+                definition.options.forEach(option => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = option;
+                    optionElement.textContent = option;
+                    field.appendChild(optionElement);
+                });
+            } else {
+                field = document.createElement('input');
+                field.type = definition.type;
+            }
+
+            field.id = `${idPrefix}-${definition.key}`;
+            field.name = prefix + definition.key;
+            field.required = !!definition.required;
+
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => this.clearFieldError(field));
+
+            formGroup.appendChild(field);
+            fieldset.appendChild(formGroup);
+        });
+
+        return fieldset;
+    }
+
+    collectPartyMembers() {
+        const container = document.getElementById('rsvp-party-members');
+        if (!container || container.classList.contains('hidden')) return [];
+
+        return Array.from(container.querySelectorAll('.party-member')).map(fieldset => {
+            const valueOf = (key) => {
+                const field = fieldset.querySelector(`[name$="_${key}"]`);
+                return field ? field.value.trim() : '';
+            };
+
+            const member = {
+                name: valueOf('name'),
+                ageGroup: valueOf('ageGroup'),
+                meal: valueOf('meal'),
+                dietaryRequirements: valueOf('dietaryRequirements')
+            };
+
+            const meals = this.collectMealSelections(fieldset, '$="_meal_');
+            if (meals.length > 0) {
+                member.meals = meals;
+            }
+
+            return member;
+        });
+    }
+
+    validatePartyMembers() {
+        const container = document.getElementById('rsvp-party-members');
+        if (!container || container.classList.contains('hidden')) return true;
+
+        let isValid = true;
+        const guestName = document.getElementById('guest-name');
+        const seenNames = new Set(guestName && guestName.value.trim()
+            ? [guestName.value.trim().toLowerCase()]
+            : []);
+
+        container.querySelectorAll('.party-member').forEach(fieldset => {
+            const nameField = fieldset.querySelector(`[name$="_name"]`);
+            if (!nameField || !nameField.value.trim()) return;
+
+            // Each attendee needs their own entry
+            const name = nameField.value.trim().toLowerCase();
+            if (seenNames.has(name)) {
+                this.showFieldError(nameField, this.t('rsvp.errors.duplicateGuest'));
+                isValid = false;
+            }
+            seenNames.add(name);
+        });
+
+        return isValid;
+    }
+
     setupEventListeners() {
         const form = document.getElementById('rsvp-form');
         if (form) {
             form.addEventListener('submit', this.handleFormSubmit);
         }
 
+        // Clear the pending notice once a queued response goes out
+        if (window.EventBus) {
+            ['outbox:queued', 'outbox:sent'].forEach(eventType => {
+                window.EventBus.on(eventType, () => this.updatePendingState());
+            });
+        }
+
+        // Change or cancel an earlier response
+        const formContainer = document.querySelector('.rsvp-form-container');
+        if (formContainer) {
+            formContainer.addEventListener('click', (event) => {
+                if (event.target.closest('[data-action="edit-rsvp"]')) {
+                    event.preventDefault();
+                    this.startEditing();
+                } else if (event.target.closest('[data-action="cancel-rsvp"]')) {
+                    event.preventDefault();
+                    this.cancelRSVP();
+                }
+            });
+        }
+
+        // Late RSVP requests are routed to the contact form
+        const lateButton = document.querySelector('#rsvp-closed [data-action="late-rsvp"]');
+        if (lateButton) {
+            lateButton.addEventListener('click', this.handleLateRequest.bind(this));
+        }
+
         // Listen for navigation changes
         if (window.EventBus) {
             window.EventBus.on('navigation:change', (data) => {
@@ -70,9 +665,45 @@ class RSVPComponent {
                     this.onSectionEnter();
                 }
             });
+
+            window.EventBus.on('language:changed', () => this.updateLanguage());
+
+            // An encrypted reply saved earlier can be shown once the passphrase is entered
+            window.EventBus.on('storage:unlocked', () => {
+                if (!this.existingRSVP && this.mode !== 'update') {
+                    this.restoreExistingRSVP();
+                }
+                this.updatePendingState();
+            });
         }
     }
 
+    // Static labels are translated by the I18nService; this redoes the ones built here
+    updateLanguage() {
+        const phoneLabel = document.querySelector('label[for="guest-phone"]');
+        if (phoneLabel) {
+            phoneLabel.textContent = this.t(this.isPhoneRequired() ? 'rsvp.phoneRequired' : 'rsvp.phone');
+        }
+
+        const guestCount = document.getElementById('guest-count');
+        const guestCountLabel = document.querySelector('label[for="guest-count"]');
+        const count = guestCount ? parseInt(guestCount.value) || 1 : 1;
+        if (guestCountLabel && count > 1) {
+            guestCountLabel.textContent = this.t('rsvp.guestCountParty', { count });
+        }
+
+        this.updateMealLabels();
+        this.setMode(this.mode);
+        this.applyDeadline();
+
+        const existingPanel = document.getElementById('rsvp-existing');
+        if (existingPanel && !existingPanel.classList.contains('hidden')) {
+            this.showExistingRSVP();
+        }
+
+        this.updatePendingState();
+    }
+
     handleFormSubmit(event) {
         event.preventDefault();
         
@@ -80,12 +711,18 @@ class RSVPComponent {
             return;
         }
 
+        // The page may have been left open past the deadline
+        if (this.getDeadlineStatus().isClosed) {
+            this.closeForm();
+            return;
+        }
+
         // Collect form data
         this.collectFormData();
         
         // Validate form
         if (!this.validateForm()) {
-            this.showError('Please correct the errors above and try again.');
+            this.showError(this.t('validation.fixErrors'));
             return;
         }
 
@@ -101,14 +738,148 @@ class RSVPComponent {
         this.formData = {};
 
         for (let [key, value] of formData.entries()) {
+            // Custom answers, party members and meals are collected separately below
+            if (key.startsWith(this.customFieldPrefix) ||
+                key.startsWith(this.partyFieldPrefix) ||
+                key.startsWith(this.mealFieldPrefix)) continue;
             this.formData[key] = value;
         }
 
+        const menu = document.getElementById('rsvp-menu');
+        if (menu && !this.isFieldHidden(menu)) {
+            const meals = this.collectMealSelections(menu, `="${this.mealFieldPrefix}`);
+            if (meals.length > 0) {
+                this.formData.meals = meals;
+            }
+        }
+
+        const partyMembers = this.collectPartyMembers();
+        if (partyMembers.length > 0) {
+            this.formData.partyMembers = partyMembers;
+        }
+
+        if (this.customQuestions.length > 0) {
+            this.formData.customAnswers = this.collectCustomAnswers();
+        }
+
+        // Carry the invitation id so replies can be reconciled
+        const invitation = this.getInvitation();
+        if (invitation) {
+            this.formData.invitationId = invitation.id;
+            if (invitation.openedAt) {
+                this.formData.invitationOpenedAt = invitation.openedAt;
+            }
+        }
+
         // Add timestamp
         this.formData.timestamp = new Date().toISOString();
         this.formData.userAgent = navigator.userAgent;
     }
 
+    collectCustomAnswers() {
+        const form = document.getElementById('rsvp-form');
+        if (!form) return [];
+
+        return this.customQuestions
+            .filter(question => !this.isQuestionHidden(question))
+            .map(question => ({
+                id: question.id,
+                label: question.label,
+                value: this.getQuestionValue(form, question)
+            }));
+    }
+
+    getQuestionValue(form, question) {
+        const fieldName = this.customFieldPrefix + question.id;
+        const inputs = form.querySelectorAll(`[name="${fieldName}"]`);
+        const type = question.type || 'text';
+
+        if (type === 'checkbox') {
+            const checked = Array.from(inputs).filter(input => input.checked);
+
+            // Single toggle checkboxes answer true or false; emails and exports translate them
+            if (!this.getQuestionOptions(question).length) {
+                return checked.length > 0;
+            }
+
+            return checked.map(input => this.getOptionLabel(question, input.value));
+        }
+
+        if (type === 'radio') {
+            const checked = Array.from(inputs).find(input => input.checked);
+            return checked ? this.getOptionLabel(question, checked.value) : '';
+        }
+
+        if (type === 'select') {
+            return inputs[0] && inputs[0].value ? this.getOptionLabel(question, inputs[0].value) : '';
+        }
+
+        return inputs[0] ? inputs[0].value.trim() : '';
+    }
+
+    getOptionLabel(question, value) {
+        const option = this.getQuestionOptions(question).find(item => item.value === value);
+        return option ? option.label : value;
+    }
+
+    isQuestionHidden(question) {
+        const formGroup = document.querySelector(`.custom-question[data-question-id="${question.id}"]`);
+        return !formGroup || formGroup.style.display === 'none';
+    }
+
+    validateCustomQuestions() {
+        const form = document.getElementById('rsvp-form');
+        if (!form) return true;
+
+        let isValid = true;
+
+        this.customQuestions.forEach(question => {
+            if (this.isQuestionHidden(question)) return;
+
+            const type = question.type || 'text';
+            const fieldName = this.customFieldPrefix + question.id;
+            const firstInput = form.querySelector(`[name="${fieldName}"]`);
+            if (!firstInput) return;
+
+            // Choice groups can't rely on the native required attribute
+            if (question.required && (type === 'radio' || type === 'checkbox')) {
+                const hasSelection = Array.from(form.querySelectorAll(`[name="${fieldName}"]`))
+                    .some(input => input.checked);
+
+                if (!hasSelection) {
+                    let message = 'validation.selectAtLeastOne';
+                    if (type === 'radio') {
+                        message = 'validation.select';
+                    } else if (!this.getQuestionOptions(question).length) {
+                        message = 'validation.required';
+                    }
+
+                    this.showFieldError(firstInput, this.t(message));
+                    isValid = false;
+                }
+            }
+
+            if (type === 'number' && firstInput.value !== '') {
+                const value = parseFloat(firstInput.value);
+                const min = question.min !== undefined ? Number(question.min) : null;
+                const max = question.max !== undefined ? Number(question.max) : null;
+
+                if (isNaN(value)) {
+                    this.showFieldError(firstInput, this.t('validation.number'));
+                    isValid = false;
+                } else if ((min !== null && value < min) || (max !== null && value > max)) {
+                    const message = min !== null && max !== null
+                        ? 'validation.numberBetween'
+                        : min !== null ? 'validation.numberAtLeast' : 'validation.numberAtMost';
+                    this.showFieldError(firstInput, this.t(message, { min, max }));
+                    isValid = false;
+                }
+            }
+        });
+
+        return isValid;
+    }
+
     validateForm() {
         const form = document.getElementById('rsvp-form');
         if (!form) return false;
@@ -121,6 +892,9 @@ class RSVPComponent {
 
         // Validate required fields
         requiredFields.forEach(field => {
+            // Skip fields hidden for non-attendees
+            if (this.isFieldHidden(field)) return;
+
             if (!this.validateField(field)) {
                 isValid = false;
             }
@@ -130,7 +904,7 @@ class RSVPComponent {
         const emailField = document.getElementById('guest-email');
         if (emailField && emailField.value) {
             if (!this.isValidEmail(emailField.value)) {
-                this.showFieldError(emailField, 'Please enter a valid email address');
+                this.showFieldError(emailField, this.t('validation.email'));
                 isValid = false;
             }
         }
@@ -139,37 +913,64 @@ class RSVPComponent {
         const phoneField = document.getElementById('guest-phone');
         if (phoneField && phoneField.value) {
             if (!this.isValidPhone(phoneField.value)) {
-                this.showFieldError(phoneField, 'Please enter a valid phone number');
+                this.showFieldError(phoneField, this.t('validation.phone'));
                 isValid = false;
             }
         }
 
+        // Validate attendance against the accepted options
+        const attendanceField = document.getElementById('attendance');
+        if (attendanceField && attendanceField.value === 'maybe' && !this.isMaybeAllowed()) {
+            this.showFieldError(attendanceField, this.t('rsvp.errors.attendance'));
+            isValid = false;
+        }
+
         // Validate guest count
         const guestCountField = document.getElementById('guest-count');
         if (guestCountField && guestCountField.value) {
             const count = parseInt(guestCountField.value);
-            if (count < 1 || count > 10) {
-                this.showFieldError(guestCountField, 'Guest count must be between 1 and 10');
+            const maxGuests = this.getMaxGuests();
+            if (isNaN(count) || count < 1 || count > maxGuests) {
+                this.showFieldError(guestCountField, maxGuests === 1
+                    ? this.t('rsvp.errors.guestCountSingle')
+                    : this.t('rsvp.errors.guestCountRange', { max: maxGuests }));
                 isValid = false;
             }
         }
 
+        // Validate each additional guest
+        if (!this.validatePartyMembers()) {
+            isValid = false;
+        }
+
+        // Validate custom questions
+        if (!this.validateCustomQuestions()) {
+            isValid = false;
+        }
+
         return isValid;
     }
 
+    isFieldHidden(field) {
+        if (field.closest('.hidden')) return true;
+
+        const formGroup = field.closest('.form-group');
+        return !!(formGroup && formGroup.style.display === 'none');
+    }
+
     validateField(field) {
         if (!field.required) return true;
 
         const value = field.value.trim();
         
         if (!value) {
-            this.showFieldError(field, 'This field is required');
+            this.showFieldError(field, this.t('validation.required'));
             return false;
         }
 
         // Specific validation for select fields
         if (field.tagName === 'SELECT' && value === '') {
-            this.showFieldError(field, 'Please make a selection');
+            this.showFieldError(field, this.t('validation.select'));
             return false;
         }
 
@@ -247,49 +1048,61 @@ class RSVPComponent {
                 throw new Error('Email service not configured');
             }
 
+            // Keep the same reference when a response is changed
+            const isUpdate = this.mode === 'update';
+            const reference = this.getRSVPReference();
+            this.formData.id = reference.id;
+            this.formData.editToken = reference.editToken;
+
             // Prepare submission data
+            const { editToken, ...formData } = this.formData;
             const submissionData = {
-                ...this.formData,
-                subject: `RSVP Response - ${this.formData.guestName}`,
-                formType: 'rsvp'
+                ...formData,
+                formType: 'rsvp',
+                editUrl: this.getEditUrl(reference)
             };
 
-            // Submit via email service
-            let response;
-            if (window.EmailService) {
-                response = await window.EmailService.sendEmail(submissionData);
-            } else {
-                // Fallback to fetch
-                response = await fetch(emailConfig.serviceUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(submissionData)
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
+            if (isUpdate) {
+                submissionData.rsvpAction = 'updated';
+                submissionData.changes = this.existingRSVP && window.EmailService
+                    ? window.EmailService.diffRSVP(this.existingRSVP, this.formData)
+                    : null;
             }
 
-            // Save to local storage as backup
+            // Submit via email service, keeping it for later if the connection is down
+            const queued = await this.deliverSubmission(submissionData, emailConfig);
+
+            // Save locally so the guest can come back and change it
+            this.existingRSVP = {
+                ...this.formData,
+                status: 'active',
+                updatedAt: isUpdate ? this.formData.timestamp : undefined
+            };
+
             if (window.StorageService) {
-                window.StorageService.saveRSVP(this.formData);
+                window.StorageService.saveRSVP(this.existingRSVP);
             }
 
             // Show success
+            this.setMode('new');
             this.showSuccess();
             
             // Emit success event
-            this.emit('form:success', {
+            this.emit(queued ? 'form:queued' : 'form:success', {
                 formType: 'rsvp',
                 data: this.formData
             });
 
+            if (isUpdate) {
+                this.emit('rsvp:updated', {
+                    data: this.formData,
+                    changes: submissionData.changes
+                });
+            }
+
         } catch (error) {
             console.error('RSVP submission failed:', error);
-            this.showError('Sorry, there was an error submitting your RSVP. Please try again or contact us directly.');
+            this.showError(this.t('rsvp.errors.submit'));
             
             // Emit error event
             this.emit('form:error', {
@@ -303,11 +1116,417 @@ class RSVPComponent {
         }
     }
 
+    // Returns true when the submission was queued in the outbox instead of sent
+    async deliverSubmission(submissionData, emailConfig) {
+        const outbox = window.OutboxService;
+        const key = `rsvp_${submissionData.id}`;
+        const waiting = outbox ? outbox.getItem(key) : null;
+
+        // The organizer never got the waiting response, so this one goes out as a new response
+        if (waiting && !waiting.data.rsvpAction && submissionData.rsvpAction === 'updated') {
+            delete submissionData.rsvpAction;
+            delete submissionData.changes;
+        }
+
+        try {
+            await this.sendSubmission(submissionData, emailConfig);
+
+            if (waiting) {
+                outbox.remove(key);
+            }
+            return false;
+        } catch (error) {
+            if (!outbox || !outbox.shouldQueue(error)) {
+                throw error;
+            }
+
+            outbox.enqueue(submissionData, { key, error });
+            return true;
+        }
+    }
+
+    async sendSubmission(submissionData, emailConfig) {
+        if (window.EmailService) {
+            return window.EmailService.sendEmail(submissionData);
+        }
+
+        // Fallback to fetch
+        const response = await fetch(emailConfig.serviceUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(submissionData)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response;
+    }
+
+    getRSVPReference() {
+        const known = this.existingRSVP || this.editReference;
+        if (known && known.id && known.editToken) {
+            return { id: known.id, editToken: known.editToken };
+        }
+
+        const randomToken = (length) => (window.Helpers
+            ? window.Helpers.randomToken(length)
+            : Math.random().toString(36).slice(2, 2 + length));
+
+        return {
+            id: randomToken(10),
+            editToken: randomToken(16)
+        };
+    }
+
+    getEditUrl(reference) {
+        const params = new URLSearchParams({ edit: `${reference.id}.${reference.editToken}` });
+
+        // Keep the personalised invitation attached to the link
+        const invitation = this.getInvitation();
+        const config = window.App ? window.App.getConfig() : null;
+        if (invitation && invitation.token) {
+            params.set(config?.invitations?.tokenParam || 'g', invitation.token);
+        }
+
+        return `${window.location.origin}${window.location.pathname}#rsvp?${params.toString()}`;
+    }
+
+    parseEditReference() {
+        const params = window.Router
+            ? window.Router.getHashParams()
+            : new URLSearchParams(window.location.hash.split('?')[1] || '');
+        const value = params.get('edit');
+        if (!value || !value.includes('.')) return null;
+
+        const [id, editToken] = value.split('.');
+        return id && editToken ? { id, editToken } : null;
+    }
+
+    restoreExistingRSVP() {
+        if (!window.StorageService) return;
+
+        const reference = this.parseEditReference();
+
+        if (reference) {
+            const stored = window.StorageService.getRSVP(reference.id);
+
+            // Only open a stored response when the link's token matches it
+            if (stored && stored.editToken === reference.editToken) {
+                this.existingRSVP = stored;
+                this.startEditing();
+            } else {
+                // Response was made on another device; the update keeps its reference
+                this.editReference = reference;
+                this.setMode('update');
+            }
+            return;
+        }
+
+        this.existingRSVP = window.StorageService.getLastRSVP();
+        if (this.existingRSVP) {
+            this.showExistingRSVP();
+        }
+    }
+
+    showExistingRSVP() {
+        const rsvp = this.existingRSVP;
+        const form = document.getElementById('rsvp-form');
+        const panel = document.getElementById('rsvp-existing');
+        const successMessage = document.getElementById('rsvp-success');
+        if (!rsvp || !form || !panel) return;
+
+        const summary = document.getElementById('rsvp-existing-summary');
+        const heading = panel.querySelector('h3');
+        const cancelButton = panel.querySelector('[data-action="cancel-rsvp"]');
+        const editButton = panel.querySelector('[data-action="edit-rsvp"]');
+        const isCancelled = rsvp.status === 'cancelled';
+        const respondedOn = window.Helpers
+            ? window.Helpers.formatDate(rsvp.updatedAt || rsvp.timestamp)
+            : new Date(rsvp.updatedAt || rsvp.timestamp).toDateString();
+
+        if (isCancelled) {
+            if (heading) heading.textContent = this.t('rsvp.existing.cancelledTitle');
+            if (summary) summary.textContent = this.t('rsvp.existing.cancelledText');
+            if (editButton) editButton.textContent = this.t('rsvp.existing.respondAgain');
+        } else {
+            const guests = parseInt(rsvp.guestCount) || 1;
+            const answers = {
+                yes: this.t('rsvp.existing.attending', { count: guests }),
+                no: this.t('rsvp.existing.notAttending'),
+                maybe: this.t('rsvp.existing.maybe')
+            };
+
+            if (heading) heading.textContent = this.t('rsvp.existing.title');
+            if (summary) {
+                summary.textContent = this.t('rsvp.existing.summary', {
+                    date: respondedOn,
+                    name: rsvp.guestName,
+                    answer: answers[rsvp.attendance] || rsvp.attendance
+                });
+            }
+            if (editButton) editButton.textContent = this.t('rsvp.change');
+        }
+
+        if (cancelButton) {
+            cancelButton.classList.toggle('hidden', isCancelled);
+        }
+
+        form.classList.add('hidden');
+        if (successMessage) successMessage.classList.add('hidden');
+        panel.classList.remove('hidden');
+
+        this.updatePendingState();
+    }
+
+    // Show whether the latest response is still waiting in the outbox
+    updatePendingState() {
+        const id = this.existingRSVP?.id;
+        const isPending = !!(id && window.OutboxService && window.OutboxService.hasPending(`rsvp_${id}`));
+        const isKept = !id || !window.StorageService || window.StorageService.isKept(`rsvp_${id}`);
+
+        document.querySelectorAll('.rsvp-form-container .rsvp-pending-notice').forEach(notice => {
+            notice.classList.toggle('hidden', !isPending || !isKept);
+        });
+
+        // Until the passphrase is entered, the reply (and a queued copy) is lost when the tab closes
+        const unsaved = document.querySelector('#rsvp-success .rsvp-unsaved-notice');
+        if (unsaved) {
+            unsaved.textContent = this.t(isPending ? 'rsvp.success.unsavedPending' : 'rsvp.success.unsaved');
+            unsaved.classList.toggle('hidden', isKept);
+        }
+
+        const received = document.querySelector('#rsvp-success .rsvp-received');
+        if (received) {
+            received.classList.toggle('hidden', isPending);
+        }
+    }
+
+    startEditing() {
+        const form = document.getElementById('rsvp-form');
+        if (!form) return;
+
+        if (this.getDeadlineStatus().isClosed) {
+            this.closeForm();
+            return;
+        }
+
+        ['rsvp-existing', 'rsvp-success'].forEach(id => {
+            const panel = document.getElementById(id);
+            if (panel) panel.classList.add('hidden');
+        });
+
+        form.reset();
+        this.clearAllErrors();
+
+        if (this.existingRSVP) {
+            const previous = { ...this.existingRSVP };
+
+            // A cancelled response is edited back into an attending one
+            if (previous.status === 'cancelled') {
+                previous.attendance = '';
+            }
+
+            this.prefillFromRSVP(previous);
+        }
+
+        this.setMode('update');
+        form.classList.remove('hidden');
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    prefillFromRSVP(rsvp) {
+        const form = document.getElementById('rsvp-form');
+        if (!form) return;
+
+        this.prefillForm({
+            guestName: rsvp.guestName,
+            guestEmail: rsvp.guestEmail,
+            guestPhone: rsvp.guestPhone,
+            attendance: rsvp.attendance,
+            guestCount: rsvp.guestCount,
+            dietaryRequirements: rsvp.dietaryRequirements,
+            comments: rsvp.comments
+        });
+
+        // Re-apply the attendance and party size dependent fields
+        const attendance = document.getElementById('attendance');
+        if (attendance) {
+            this.handleAttendanceChange({ target: attendance });
+        }
+
+        const guestCount = document.getElementById('guest-count');
+        if (guestCount) {
+            this.handleGuestCountChange({ target: guestCount });
+        }
+
+        // Party members
+        const members = Array.isArray(rsvp.partyMembers) ? rsvp.partyMembers : [];
+        form.querySelectorAll('.party-member').forEach((fieldset, index) => {
+            const member = members[index];
+            if (!member) return;
+
+            ['name', 'ageGroup', 'meal', 'dietaryRequirements'].forEach(key => {
+                const field = fieldset.querySelector(`[name="${this.partyFieldPrefix}${index}_${key}"]`);
+                if (field && member[key]) {
+                    field.value = member[key];
+                }
+            });
+
+            this.prefillMeals(fieldset, `${this.partyFieldPrefix}${index}_meal_`, member.meals);
+        });
+
+        // Meals
+        this.prefillMeals(form, this.mealFieldPrefix, rsvp.meals);
+
+        // Custom questions
+        const answers = Array.isArray(rsvp.customAnswers) ? rsvp.customAnswers : [];
+        answers.forEach(answer => {
+            const question = this.customQuestions.find(item => item.id === answer.id);
+            if (question) {
+                this.prefillCustomAnswer(form, question, answer.value);
+            }
+        });
+    }
+
+    prefillMeals(container, namePrefix, meals) {
+        if (!Array.isArray(meals)) return;
+
+        meals.forEach(meal => {
+            const select = container.querySelector(`select[name="${namePrefix}${meal.courseId}"]`);
+            if (select) {
+                select.value = meal.optionId;
+            }
+        });
+    }
+
+    prefillCustomAnswer(form, question, value) {
+        const type = question.type || 'text';
+        const inputs = form.querySelectorAll(`[name="${this.customFieldPrefix}${question.id}"]`);
+        const options = this.getQuestionOptions(question);
+
+        // Answers are stored by label, so map them back to option values
+        const valueForLabel = (label) => {
+            const option = options.find(item => item.label === label);
+            return option ? option.value : label;
+        };
+
+        if (type === 'checkbox' && !options.length) {
+            if (inputs[0]) inputs[0].checked = value === true || this.isTranslatedYes(value);
+        } else if (type === 'checkbox' || type === 'radio') {
+            const selected = (Array.isArray(value) ? value : [value]).map(valueForLabel);
+            inputs.forEach(input => {
+                input.checked = selected.includes(input.value);
+            });
+        } else if (inputs[0] && value !== undefined && value !== null) {
+            inputs[0].value = type === 'select' ? valueForLabel(value) : value;
+        }
+    }
+
+    // Toggles saved before answers were stored as true/false hold "Yes" in the guest's language
+    isTranslatedYes(value) {
+        if (typeof value !== 'string' || !window.I18nService) return false;
+
+        return Object.keys(window.I18nService.dictionaries)
+            .some(language => window.I18nService.t('common.yes', {}, language) === value);
+    }
+
+    async cancelRSVP() {
+        const rsvp = this.existingRSVP;
+        if (!rsvp || this.isSubmitting) return;
+
+        if (!window.confirm(this.t('rsvp.confirmCancel'))) {
+            return;
+        }
+
+        this.isSubmitting = true;
+
+        try {
+            const config = window.App ? window.App.getConfig() : null;
+            const emailConfig = config?.email;
+
+            if (!emailConfig || !emailConfig.serviceUrl) {
+                throw new Error('Email service not configured');
+            }
+
+            const cancelled = {
+                ...rsvp,
+                attendance: 'no',
+                status: 'cancelled',
+                timestamp: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            this.formData = cancelled;
+            const { editToken, status, updatedAt, ...formData } = cancelled;
+            const submissionData = {
+                ...formData,
+                formType: 'rsvp',
+                rsvpAction: 'cancelled',
+                changes: window.EmailService ? window.EmailService.diffRSVP(rsvp, cancelled) : []
+            };
+
+            const queued = await this.deliverSubmission(submissionData, emailConfig);
+
+            this.existingRSVP = cancelled;
+            if (window.StorageService) {
+                window.StorageService.updateRSVP(cancelled.id, cancelled);
+            }
+
+            this.showExistingRSVP();
+            this.emit('rsvp:cancelled', { data: cancelled, queued });
+
+        } catch (error) {
+            console.error('RSVP cancellation failed:', error);
+            this.showError(this.t('rsvp.errors.cancel'));
+
+            this.emit('form:error', {
+                formType: 'rsvp',
+                error: error.message,
+                data: this.formData
+            });
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+
+        const form = document.getElementById('rsvp-form');
+        if (!form) return;
+
+        const submitButton = form.querySelector('.submit-button');
+        if (submitButton) {
+            submitButton.textContent = this.getSubmitLabel();
+        }
+
+        let notice = form.querySelector('.rsvp-mode-notice');
+        if (mode === 'update') {
+            if (!notice) {
+                notice = document.createElement('div');
+                notice.className = 'rsvp-mode-notice';
+                notice.setAttribute('role', 'status');
+                form.insertBefore(notice, form.firstChild);
+            }
+            notice.textContent = this.t(this.existingRSVP ? 'rsvp.modeChanging' : 'rsvp.modeUpdating');
+        } else if (notice) {
+            notice.remove();
+        }
+    }
+
+    getSubmitLabel() {
+        return this.t(this.mode === 'update' ? 'rsvp.update' : 'rsvp.submit');
+    }
+
     showLoadingState() {
         const submitButton = document.querySelector('#rsvp-form .submit-button');
         if (submitButton) {
             submitButton.disabled = true;
-            submitButton.textContent = 'Sending...';
+            submitButton.textContent = this.t('common.sending');
             submitButton.classList.add('loading');
         }
     }
@@ -316,7 +1535,7 @@ class RSVPComponent {
         const submitButton = document.querySelector('#rsvp-form .submit-button');
         if (submitButton) {
             submitButton.disabled = false;
-            submitButton.textContent = 'Send RSVP';
+            submitButton.textContent = this.getSubmitLabel();
             submitButton.classList.remove('loading');
         }
     }
@@ -328,6 +1547,24 @@ class RSVPComponent {
         if (form && successMessage) {
             form.classList.add('hidden');
             successMessage.classList.remove('hidden');
+
+            // Give the guest a way back to their response
+            const editLink = successMessage.querySelector('.rsvp-edit-link');
+            const editUrl = document.getElementById('rsvp-edit-url');
+            if (editLink && editUrl && this.existingRSVP) {
+                editUrl.value = this.getEditUrl(this.existingRSVP);
+                editLink.classList.remove('hidden');
+            }
+
+            this.updatePendingState();
+
+            // Attending guests can save the date straight away
+            const calendar = document.getElementById('rsvp-calendar');
+            if (calendar && window.CalendarService && this.formData.attendance !== 'no') {
+                window.CalendarService.renderCalendarMenu(calendar);
+            } else if (calendar) {
+                calendar.classList.add('hidden');
+            }
             
             // Scroll to success message
             successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -349,16 +1586,20 @@ class RSVPComponent {
             text-align: center;
         `;
 
+        // Show the error above the form, or above the open panel when the form is hidden
         const form = document.getElementById('rsvp-form');
-        if (form) {
+        const target = form && form.classList.contains('hidden')
+            ? document.querySelector('.rsvp-form-container')
+            : form;
+        if (target) {
             // Remove existing error message
-            const existingError = form.querySelector('.form-error-message');
+            const existingError = target.querySelector('.form-error-message');
             if (existingError) {
                 existingError.remove();
             }
             
             // Add new error message at the top
-            form.insertBefore(errorDiv, form.firstChild);
+            target.insertBefore(errorDiv, target.firstChild);
             
             // Auto remove after 5 seconds
             setTimeout(() => {
@@ -369,33 +1610,176 @@ class RSVPComponent {
         }
     }
 
+    getDeadline() {
+        const config = window.App ? window.App.getConfig() : null;
+        const deadline = config?.rsvp?.deadline;
+        if (!deadline || !window.Helpers) return null;
+
+        const endOfDay = window.Helpers.endOfDay(deadline);
+        if (!endOfDay) {
+            console.warn('⚠️ Invalid RSVP deadline in config:', deadline);
+        }
+
+        return endOfDay;
+    }
+
+    getDeadlineStatus() {
+        const deadline = this.getDeadline();
+        if (!deadline) {
+            return { deadline: null, daysLeft: null, isClosed: false, isClosingSoon: false };
+        }
+
+        const config = window.App.getConfig();
+        const warningDays = config.rsvp.deadlineWarningDays ?? 7;
+        const daysLeft = window.Helpers.daysUntil(deadline);
+        const isClosed = Date.now() > deadline.getTime();
+
+        return {
+            deadline,
+            daysLeft,
+            isClosed,
+            isClosingSoon: !isClosed && daysLeft <= warningDays
+        };
+    }
+
+    applyDeadline() {
+        const status = this.getDeadlineStatus();
+
+        // Let other components (e.g. the hero) surface the deadline
+        this.emit('rsvp:deadline', status);
+
+        if (!status.deadline) return;
+
+        if (status.isClosed) {
+            this.closeForm();
+        } else {
+            this.showDeadlineNotice(status);
+        }
+    }
+
+    formatDeadline(deadline) {
+        return window.Helpers
+            ? window.Helpers.formatDate(deadline, { weekday: 'long' })
+            : deadline.toDateString();
+    }
+
+    showDeadlineNotice(status) {
+        const notice = document.getElementById('rsvp-deadline-notice');
+        if (!notice) return;
+
+        const formattedDate = this.formatDeadline(status.deadline);
+
+        if (status.isClosingSoon) {
+            notice.classList.add('warning');
+            notice.textContent = status.daysLeft === 0
+                ? this.t('rsvp.deadline.lastDay')
+                : this.t('rsvp.deadline.daysLeft', { count: status.daysLeft, date: formattedDate });
+        } else {
+            notice.classList.remove('warning');
+            notice.textContent = this.t('rsvp.deadline.respondBy', { date: formattedDate });
+        }
+
+        notice.classList.remove('hidden');
+    }
+
+    closeForm() {
+        const form = document.getElementById('rsvp-form');
+        const notice = document.getElementById('rsvp-deadline-notice');
+        const closedPanel = document.getElementById('rsvp-closed');
+
+        if (form) form.classList.add('hidden');
+        if (notice) notice.classList.add('hidden');
+        if (!closedPanel) return;
+
+        const config = window.App ? window.App.getConfig() : null;
+        const allowLate = config?.rsvp?.allowLateRequests !== false;
+        const deadline = this.getDeadline();
+
+        const closedText = document.getElementById('rsvp-closed-text');
+        if (closedText && deadline) {
+            closedText.textContent = this.t(allowLate ? 'rsvp.deadline.closedTextLate' : 'rsvp.deadline.closedText', {
+                date: this.formatDeadline(deadline)
+            });
+        }
+
+        const lateButton = closedPanel.querySelector('[data-action="late-rsvp"]');
+        if (lateButton) {
+            lateButton.classList.toggle('hidden', !allowLate);
+        }
+
+        closedPanel.classList.remove('hidden');
+
+        this.emit('rsvp:closed', { deadline });
+    }
+
+    handleLateRequest(event) {
+        event.preventDefault();
+
+        this.emit('rsvp:late-request', {
+            deadline: this.getDeadline()
+        });
+
+        if (window.Router) {
+            window.Router.navigate('contact');
+        }
+    }
+
     handleAttendanceChange(event) {
         const attendance = event.target.value;
         const guestCountGroup = document.getElementById('guest-count').closest('.form-group');
         const dietaryGroup = document.getElementById('dietary-requirements').closest('.form-group');
+        const menu = document.getElementById('rsvp-menu');
         
         if (attendance === 'no') {
             // Hide guest count and dietary requirements for non-attendees
             if (guestCountGroup) guestCountGroup.style.display = 'none';
             if (dietaryGroup) dietaryGroup.style.display = 'none';
+            if (menu) menu.classList.add('hidden');
         } else {
             // Show fields for attendees
             if (guestCountGroup) guestCountGroup.style.display = 'block';
             if (dietaryGroup) dietaryGroup.style.display = 'block';
+            if (menu) menu.classList.remove('hidden');
         }
+
+        // Additional guests are only needed for attendees
+        const guestCountInput = document.getElementById('guest-count');
+        this.renderPartyMembers(guestCountInput ? parseInt(guestCountInput.value) || 1 : 1);
+
+        // Questions only relevant to attendees follow the same rule
+        this.customQuestions
+            .filter(question => question.attendingOnly)
+            .forEach(question => {
+                const formGroup = document.querySelector(`.custom-question[data-question-id="${question.id}"]`);
+                if (formGroup) {
+                    formGroup.style.display = attendance === 'no' ? 'none' : 'block';
+                }
+            });
     }
 
     handleGuestCountChange(event) {
-        const count = parseInt(event.target.value);
+        // Clamp the party size to the allowed range
+        const maxGuests = this.getMaxGuests();
+        let count = parseInt(event.target.value);
+        if (isNaN(count) || count < 1) {
+            count = 1;
+        } else if (count > maxGuests) {
+            count = maxGuests;
+        }
+        event.target.value = count;
+
         const label = document.querySelector('label[for="guest-count"]');
         
         if (label) {
             if (count === 1) {
-                label.textContent = 'Number of Guests (including yourself)';
+                label.textContent = this.t('rsvp.guestCountSelf');
             } else {
-                label.textContent = `Number of Guests (${count} people including yourself)`;
+                label.textContent = this.t('rsvp.guestCountParty', { count });
             }
         }
+
+        // Ask for the details of everyone else in the party
+        this.renderPartyMembers(count);
     }
 
     onSectionEnter() {
@@ -437,6 +1821,13 @@ class RSVPComponent {
             form.reset();
             form.classList.remove('hidden');
             successMessage.classList.add('hidden');
+
+            // Drop the additional guest fields along with their values
+            const partyContainer = document.getElementById('rsvp-party-members');
+            if (partyContainer) {
+                partyContainer.innerHTML = '';
+                partyContainer.classList.add('hidden');
+            }
             
             this.clearAllErrors();
             this.formData = {};
@@ -455,12 +1846,16 @@ class RSVPComponent {
 
         Object.keys(data).forEach(key => {
             const field = form.querySelector(`[name="${key}"]`);
-            if (field) {
+            if (field && data[key] !== undefined && data[key] !== null && data[key] !== '') {
                 field.value = data[key];
             }
         });
     }
 
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
     emit(eventType, data = null) {
         if (window.EventBus) {
             window.EventBus.emit(eventType, data);
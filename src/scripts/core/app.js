@@ -4,6 +4,9 @@ class InvitationApp {
         this.components = new Map();
         this.config = null;
         this.isInitialized = false;
+        this.fontFiles = [];
+        this.themes = null;
+        this.colorSchemeQuery = null;
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -24,11 +27,34 @@ class InvitationApp {
             if (window.EventBus) {
                 window.EventBus.init();
             }
+
+            // Open storage and migrate saved data before any service or component reads it
+            if (window.StorageService) {
+                await window.StorageService.init();
+            }
+
+            // Animation settings are needed by the router and components as they start
+            if (window.MotionService) {
+                window.MotionService.init();
+            }
+
+            // Pick the language before anything is rendered
+            if (window.I18nService) {
+                window.I18nService.init();
+            }
+
+            // Tell guests when something they entered couldn't be saved
+            this.setupStorageWarnings();
             
             // Initialize router
             if (window.Router) {
                 window.Router.init();
             }
+
+            // Resolve personalised invitation links before components render
+            if (window.GuestService) {
+                await window.GuestService.init();
+            }
             
             // Initialize components
             await this.initializeComponents();
@@ -139,9 +165,13 @@ class InvitationApp {
         const componentInitializers = [
             'NavigationComponent',
             'HeroComponent',
+            'LocationComponent',
             'GalleryComponent',
             'RSVPComponent',
-            'ContactComponent'
+            'ContactComponent',
+            'GuestbookComponent',
+            'AdminComponent',
+            'PrivacyComponent'
         ];
 
         for (const componentName of componentInitializers) {
@@ -158,6 +188,9 @@ class InvitationApp {
 
         // Update content from configuration
         this.updateContentFromConfig();
+
+        // Hotel cards are built in the active language
+        this.on('language:changed', () => this.updateAccommodation());
     }
 
     registerComponent(name, component) {
@@ -169,10 +202,129 @@ class InvitationApp {
         return this.components.get(name);
     }
 
+    // The visitor's saved choice wins over app.theme
     applyTheme() {
-        if (this.config.app.theme && this.config.app.theme !== 'default') {
-            document.documentElement.setAttribute('data-theme', this.config.app.theme);
+        this.setDocumentTheme(this.resolveTheme(this.getThemeChoice()));
+        this.watchColorScheme();
+
+        // Inline variables on <html> win over the theme's own
+        this.applyCustomColors();
+        this.loadCustomFonts();
+    }
+
+    // colors: { primary: '#b76e79', navBg: 'rgba(255, 250, 245, 0.95)', '--accent': 'gold' }
+    applyCustomColors() {
+        const colors = this.config.customization?.colors || {};
+
+        Object.entries(colors).forEach(([name, value]) => {
+            const variable = this.getColorVariable(name);
+
+            if (!window.Helpers || !window.Helpers.isValidColor(value)) {
+                console.error(`❌ Invalid colour for customization.colors.${name}: ${JSON.stringify(value)}. Keeping the theme's ${variable}.`);
+                return;
+            }
+
+            document.documentElement.style.setProperty(variable, value);
+        });
+    }
+
+    // primary -> --primary-color, primaryDark -> --primary-dark, navBg -> --nav-bg
+    getColorVariable(name) {
+        if (name.startsWith('--')) return name;
+
+        const variable = `--${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+        return /-(color|bg|border|light|dark|white)$/.test(variable) ? variable : `${variable}-color`;
+    }
+
+    // fonts: { primary: 'Roboto', secondary: { family: 'Playfair Display', src: 'assets/fonts/playfair.woff2' } }
+    // Plain names load from Google Fonts; fonts with a src are served with the site and work offline
+    loadCustomFonts() {
+        const fonts = this.config.customization?.fonts || {};
+        const googleFonts = new Map();
+        const fontFaces = [];
+        this.fontFiles = [];
+
+        ['primary', 'secondary'].forEach(role => {
+            const font = typeof fonts[role] === 'string' ? { family: fonts[role] } : fonts[role];
+            if (!font) return;
+
+            if (!this.isValidFontFamily(font.family)) {
+                console.error(`❌ Invalid font for customization.fonts.${role}: ${JSON.stringify(font.family)}`);
+                return;
+            }
+
+            if (font.src) {
+                fontFaces.push(...this.buildFontFaces(font));
+            } else {
+                googleFonts.set(font.family, font);
+            }
+
+            const fallback = font.fallback || "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+            document.documentElement.style.setProperty(`--font-${role}`, `"${font.family.trim()}", ${fallback}`);
+        });
+
+        if (fontFaces.length) {
+            let style = document.getElementById('custom-fonts');
+            if (!style) {
+                style = document.createElement('style');
+                style.id = 'custom-fonts';
+                document.head.appendChild(style);
+            }
+            style.textContent = fontFaces.join('\n');
         }
+
+        if (googleFonts.size) {
+            this.loadGoogleFonts(Array.from(googleFonts.values()));
+        }
+    }
+
+    isValidFontFamily(family) {
+        return typeof family === 'string' && /^[^"'\\;{}<>()]+$/.test(family.trim());
+    }
+
+    // src is a file or a list of { src, weight, style } for each variant
+    buildFontFaces(font) {
+        const files = Array.isArray(font.src) ? font.src : [font.src];
+        const formats = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' };
+
+        return files
+            .map(file => (typeof file === 'string' ? { src: file } : file))
+            .filter(file => file && file.src)
+            .map(file => {
+                const url = new URL(file.src, window.location.href).href;
+                const extension = file.src.split('?')[0].split('.').pop().toLowerCase();
+                const format = formats[extension] ? ` format("${formats[extension]}")` : '';
+                this.fontFiles.push(url);
+
+                return `@font-face {
+    font-family: "${font.family.trim()}";
+    src: url("${url}")${format};
+    font-weight: ${file.weight || 'normal'};
+    font-style: ${file.style === 'italic' ? 'italic' : 'normal'};
+    font-display: swap;
+}`;
+            });
+    }
+
+    loadGoogleFonts(fonts) {
+        const families = fonts.map(font => {
+            const weights = font.weights ? `:wght@${[].concat(font.weights).sort((a, b) => a - b).join(';')}` : '';
+            return `family=${encodeURIComponent(font.family.trim()).replace(/%20/g, '+')}${weights}`;
+        });
+
+        let link = document.getElementById('custom-fonts-google');
+        if (!link) {
+            link = document.createElement('link');
+            link.id = 'custom-fonts-google';
+            link.rel = 'stylesheet';
+            document.head.appendChild(link);
+        }
+        link.href = `https://fonts.googleapis.com/css2?${families.join('&')}&display=swap`;
+    }
+
+    // Local font files, so the service worker can keep them for offline use
+    getFontFiles() {
+        return [...this.fontFiles];
     }
 
     showLoading() {
@@ -197,12 +349,31 @@ class InvitationApp {
         }
     }
 
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
     on(eventType, callback) {
         if (window.EventBus) {
             window.EventBus.on(eventType, callback);
         }
     }
 
+    setupStorageWarnings() {
+        const shown = new Set();
+
+        this.on('storage:error', (data) => {
+            if (!data || !data.key) return;
+
+            // One notice per kind is enough when several writes fail together
+            const message = data.savedTo ? 'storage.keptInSmallerStorage' : 'storage.notSaved';
+            if (shown.has(message)) return;
+
+            shown.add(message);
+            this.showErrorMessage(this.t(message));
+        });
+    }
+
     handleError(message, error) {
         console.error(`❌ ${message}:`, error);
         
@@ -280,22 +451,118 @@ class InvitationApp {
         return this.config;
     }
 
+    // 'auto' follows the device's light/dark setting; anything else is a theme from theme.css
     setTheme(themeName) {
-        document.documentElement.setAttribute('data-theme', themeName);
-        if (this.config) {
-            this.config.app.theme = themeName;
+        if (themeName !== 'auto' && !this.getAvailableThemes().includes(themeName)) {
+            console.warn(`⚠️ Unknown theme: ${themeName}`);
+            return false;
         }
+
+        const previous = this.getCurrentTheme();
+        const theme = this.resolveTheme(themeName);
+        this.setDocumentTheme(theme);
         
         // Save to storage
         if (window.StorageService) {
             window.StorageService.setItem('app_theme', themeName);
         }
+
+        this.emit('theme:changed', { theme, choice: themeName, previous });
+        return true;
     }
 
     getCurrentTheme() {
         return document.documentElement.getAttribute('data-theme') || 'default';
     }
 
+    // Saved choice, else 'auto' when app.followSystemTheme is on, else app.theme
+    getThemeChoice() {
+        const saved = window.StorageService ? window.StorageService.getItem('app_theme') : null;
+        if (saved === 'auto' || this.getAvailableThemes().includes(saved)) {
+            return saved;
+        }
+
+        return this.config.app.followSystemTheme ? 'auto' : this.getConfiguredTheme();
+    }
+
+    getConfiguredTheme() {
+        const theme = this.config.app.theme || 'default';
+        return this.getAvailableThemes().includes(theme) ? theme : 'default';
+    }
+
+    resolveTheme(choice) {
+        if (choice !== 'auto') return choice;
+
+        const prefersDark = this.colorSchemeQuery
+            ? this.colorSchemeQuery.matches
+            : !!(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+
+        return prefersDark && this.getAvailableThemes().includes('dark') ? 'dark' : this.getConfiguredTheme();
+    }
+
+    setDocumentTheme(theme) {
+        if (theme === 'default') {
+            document.documentElement.removeAttribute('data-theme');
+        } else {
+            document.documentElement.setAttribute('data-theme', theme);
+        }
+    }
+
+    // Switch between light and dark with the device while the choice is 'auto'
+    watchColorScheme() {
+        if (this.colorSchemeQuery || !window.matchMedia) return;
+
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        const handleChange = () => {
+            if (this.getThemeChoice() !== 'auto') return;
+
+            const previous = this.getCurrentTheme();
+            const theme = this.resolveTheme('auto');
+            if (theme === previous) return;
+
+            this.setDocumentTheme(theme);
+            this.emit('theme:changed', { theme, choice: 'auto', previous });
+        };
+
+        if (this.colorSchemeQuery.addEventListener) {
+            this.colorSchemeQuery.addEventListener('change', handleChange);
+        } else if (this.colorSchemeQuery.addListener) {
+            this.colorSchemeQuery.addListener(handleChange);
+        }
+    }
+
+    // Themes are the [data-theme="..."] blocks in theme.css
+    getAvailableThemes() {
+        if (this.themes) return this.themes;
+
+        const themes = new Set(['default']);
+        const collect = (rules) => {
+            Array.from(rules || []).forEach(rule => {
+                // Rules inside @media blocks
+                if (rule.cssRules) collect(rule.cssRules);
+
+                const selector = rule.selectorText || '';
+                for (const match of selector.matchAll(/\[data-theme="([\w-]+)"\]/g)) {
+                    themes.add(match[1]);
+                }
+            });
+        };
+
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                collect(sheet.cssRules);
+            } catch (error) {
+                // Stylesheets from other origins (e.g. Google Fonts) can't be read
+            }
+        });
+
+        // Only remember the list once the stylesheets have loaded
+        if (themes.size > 1) {
+            this.themes = Array.from(themes);
+        }
+        return Array.from(themes);
+    }
+
     updateContentFromConfig() {
         if (!this.config) return;
 
@@ -309,6 +576,10 @@ class InvitationApp {
         if (this.config.features.schedule && this.config.schedule) {
             this.updateSchedule();
         }
+
+        // Update travel information
+        this.updateAccommodation();
+        this.updateTransportation();
     }
 
     updateSchedule() {
@@ -330,6 +601,139 @@ class InvitationApp {
             scheduleTimeline.appendChild(timelineItem);
         });
     }
+
+    updateAccommodation() {
+        const section = document.getElementById('accommodation-section');
+        const hotelList = document.getElementById('hotel-list');
+        if (!section || !hotelList) return;
+
+        const accommodation = this.config.details?.accommodation;
+        const hotels = Array.isArray(accommodation?.hotels) ? accommodation.hotels : [];
+
+        if (!accommodation || accommodation.available === false || !hotels.length) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        hotelList.innerHTML = '';
+        hotels.forEach(hotel => {
+            hotelList.appendChild(this.createHotelCard(hotel));
+        });
+
+        section.classList.remove('hidden');
+    }
+
+    createHotelCard(hotel) {
+        const card = document.createElement('div');
+        card.className = 'hotel-card';
+
+        const name = document.createElement('h4');
+        name.className = 'hotel-name';
+        name.textContent = hotel.name;
+        card.appendChild(name);
+
+        const addLine = (className, label, content) => {
+            const line = document.createElement('p');
+            line.className = className;
+
+            if (label) {
+                const strong = document.createElement('strong');
+                strong.textContent = `${label}: `;
+                line.appendChild(strong);
+            }
+
+            if (content instanceof Node) {
+                line.appendChild(content);
+            } else {
+                line.appendChild(document.createTextNode(content));
+            }
+
+            card.appendChild(line);
+            return line;
+        };
+
+        if (hotel.distance) {
+            addLine('hotel-distance', null, `📍 ${hotel.distance}`);
+        }
+
+        if (hotel.phone) {
+            const phoneLink = document.createElement('a');
+            phoneLink.href = `tel:${hotel.phone.replace(/[^\d+]/g, '')}`;
+            phoneLink.textContent = hotel.phone;
+            addLine('hotel-phone', this.t('accommodation.phone'), phoneLink);
+        }
+
+        if (hotel.bookingCode) {
+            const code = document.createElement('code');
+            code.textContent = hotel.bookingCode;
+            addLine('hotel-booking-code', this.t('accommodation.bookingCode'), code);
+        }
+
+        if (hotel.roomBlockDeadline) {
+            const deadline = window.Helpers ? window.Helpers.endOfDay(hotel.roomBlockDeadline) : new Date(hotel.roomBlockDeadline);
+
+            if (deadline && !isNaN(deadline.getTime())) {
+                const isClosed = deadline < new Date();
+                const formattedDate = window.Helpers ? window.Helpers.formatDate(deadline) : deadline.toDateString();
+                const line = addLine(
+                    'hotel-room-block',
+                    null,
+                    this.t(isClosed ? 'accommodation.groupRateEnded' : 'accommodation.bookBy', { date: formattedDate })
+                );
+                line.classList.toggle('closed', isClosed);
+            }
+        }
+
+        if (hotel.website) {
+            const website = document.createElement('a');
+            website.href = hotel.website;
+            website.target = '_blank';
+            website.rel = 'noopener';
+            website.className = 'btn btn-secondary hotel-website';
+            website.textContent = this.t('accommodation.website');
+            card.appendChild(website);
+        }
+
+        return card;
+    }
+
+    updateTransportation() {
+        const section = document.getElementById('transportation-section');
+        const optionList = document.getElementById('transport-options');
+        if (!section || !optionList) return;
+
+        const transportation = this.config.details?.transportation;
+        const options = Array.isArray(transportation?.options) ? transportation.options : [];
+
+        if (!transportation || transportation.available === false || !options.length) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        optionList.innerHTML = '';
+        options.forEach(option => {
+            const item = document.createElement('li');
+            item.className = 'transport-option';
+
+            if (typeof option === 'string') {
+                item.textContent = option;
+            } else {
+                const title = document.createElement('strong');
+                title.textContent = option.title || option.name || '';
+                item.appendChild(title);
+
+                if (option.description) {
+                    const description = document.createElement('span');
+                    description.textContent = option.description;
+                    item.appendChild(description);
+                }
+            }
+
+            optionList.appendChild(item);
+        });
+
+        section.classList.remove('hidden');
+    }
 }
 
 // Create global app instance
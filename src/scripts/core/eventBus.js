@@ -48,6 +48,10 @@ class EventBus {
         this.on('form:error', (data) => {
             console.log('❌ Form submission failed:', data.formType, data.error);
         });
+
+        this.on('form:queued', (data) => {
+            console.log('📮 Form submission queued until online:', data.formType);
+        });
     }
 
     /**
@@ -32,7 +32,17 @@ class Router {
     registerDefaultRoutes() {
         // Register page sections as routes
         const sections = ['home', 'details', 'gallery', 'rsvp', 'contact'];
-        
+
+        // Optional sections only become routes when their feature is on
+        const optionalSections = { guestbook: 'guestMessages', admin: 'adminDashboard' };
+        const features = window.App && window.App.getConfig() ? window.App.getConfig().features || {} : {};
+
+        Object.entries(optionalSections).forEach(([section, feature]) => {
+            if (features[feature]) {
+                sections.push(section);
+            }
+        });
+
         sections.forEach(section => {
             this.registerRoute(section, {
                 element: `#${section}`,
@@ -72,18 +82,29 @@ class Router {
     }
 
     handleInitialRoute() {
-        const hash = window.location.hash.slice(1); // Remove #
+        const hash = this.getHashSection();
         const initialSection = hash && this.routes.has(hash) ? hash : 'home';
         this.navigate(initialSection, false);
     }
 
     handleHashChange() {
-        const hash = window.location.hash.slice(1);
+        const hash = this.getHashSection();
         if (hash && this.routes.has(hash) && hash !== this.currentSection) {
             this.navigate(hash, false);
         }
     }
 
+    // Section part of the hash, without any ?query (e.g. #rsvp?g=abc123)
+    getHashSection() {
+        return window.location.hash.slice(1).split('?')[0];
+    }
+
+    getHashParams() {
+        const hash = window.location.hash;
+        const queryIndex = hash.indexOf('?');
+        return new URLSearchParams(queryIndex > -1 ? hash.slice(queryIndex + 1) : '');
+    }
+
     handleNavClick(event) {
         const navLink = event.target.closest('[data-section]');
         if (navLink) {
@@ -137,7 +158,7 @@ class Router {
             this.showSection(section);
 
             // Update page title
-            document.title = `${route.title} - ${this.getAppName()}`;
+            document.title = `${this.getRouteTitle(route)} - ${this.getAppName()}`;
 
             // Execute afterEnter hook
             if (route.afterEnter) {
@@ -229,18 +250,19 @@ class Router {
             targetSection.setAttribute('aria-hidden', 'false');
             
             // Scroll to top of section
-            targetSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            targetSection.scrollIntoView({ behavior: this.getScrollBehavior(), block: 'start' });
         }
     }
 
     async animateOut(section) {
         const element = document.getElementById(section);
-        if (element) {
+        const duration = this.getAnimationDuration(300);
+        if (element && duration) {
             element.style.transform = 'translateY(-20px)';
             element.style.opacity = '0';
             
             // Wait for animation
-            await new Promise(resolve => setTimeout(resolve, 300));
+            await new Promise(resolve => setTimeout(resolve, duration));
         }
     }
 
@@ -253,6 +275,14 @@ class Router {
         }
     }
 
+    getAnimationDuration(ms) {
+        return window.MotionService ? window.MotionService.getDuration(ms) : ms;
+    }
+
+    getScrollBehavior() {
+        return window.MotionService ? window.MotionService.getScrollBehavior() : 'smooth';
+    }
+
     addToHistory(from, to) {
         this.history.push({
             from,
@@ -291,6 +321,14 @@ class Router {
         return section.charAt(0).toUpperCase() + section.slice(1);
     }
 
+    // Sections with a navigation label use it in the active language
+    getRouteTitle(route) {
+        const key = `nav.${route.path}`;
+        return window.I18nService && window.I18nService.has(key)
+            ? window.I18nService.t(key)
+            : route.title;
+    }
+
     getAppName() {
         return window.App && window.App.getConfig() 
             ? window.App.getConfig().app.name 
@@ -331,7 +369,7 @@ class Router {
             const elementTop = element.offsetTop - offset;
             window.scrollTo({
                 top: elementTop,
-                behavior: 'smooth'
+                behavior: this.getScrollBehavior()
             });
             return true;
         }
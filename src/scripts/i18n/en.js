@@ -0,0 +1,442 @@
+// English translations
+window.I18nService.addDictionary('en', {
+    meta: {
+        name: 'English',
+        locale: 'en-US',
+        direction: 'ltr'
+    },
+
+    common: {
+        loading: 'Loading...',
+        sending: 'Sending...',
+        pleaseSelect: 'Please select',
+        yes: 'Yes',
+        no: 'No'
+    },
+
+    nav: {
+        home: 'Home',
+        details: 'Details',
+        gallery: 'Gallery',
+        rsvp: 'RSVP',
+        guestbook: 'Guestbook',
+        contact: 'Contact',
+        language: 'Language',
+        theme: 'Theme',
+        admin: 'Organizer Dashboard'
+    },
+
+    themes: {
+        auto: 'Match my device',
+        default: 'Classic',
+        dark: 'Dark',
+        wedding: 'Wedding',
+        corporate: 'Corporate',
+        party: 'Party',
+        nature: 'Nature',
+        elegant: 'Elegant'
+    },
+
+    hero: {
+        greeting: 'Dear {name},',
+        rsvpNow: 'RSVP Now',
+        rsvpBy: 'Kindly RSVP by {date}',
+        rsvpClosed: 'RSVPs are now closed'
+    },
+
+    countdown: {
+        days: { one: 'Day', other: 'Days' },
+        hours: { one: 'Hour', other: 'Hours' },
+        minutes: { one: 'Minute', other: 'Minutes' },
+        seconds: { one: 'Second', other: 'Seconds' },
+        startingSoon: '⏰ Starting soon',
+        live: '🎉 Happening now!',
+        ended: '💐 Thank you for coming!'
+    },
+
+    details: {
+        title: 'Event Details',
+        dateTime: 'Date & Time',
+        location: 'Location',
+        dressCode: 'Dress Code',
+        dining: 'Dining',
+        gettingThere: 'Getting There',
+        parking: 'Parking:',
+        directions: 'Directions:',
+        schedule: 'Event Schedule',
+        whereToStay: 'Where to Stay',
+        gettingAround: 'Getting Around'
+    },
+
+    location: {
+        mapTitle: 'Map showing {name}',
+        theVenue: 'the venue',
+        openIn: 'Open in {provider}'
+    },
+
+    accommodation: {
+        phone: 'Phone',
+        bookingCode: 'Booking code',
+        bookBy: 'Book by {date} for the group rate',
+        groupRateEnded: 'Group rate ended on {date}',
+        website: 'Visit website'
+    },
+
+    calendar: {
+        add: '📅 Add to calendar',
+        ics: 'Apple Calendar / .ics file',
+        schedule: 'Schedule:',
+        detailsLink: 'Details and RSVP: {url}'
+    },
+
+    gallery: {
+        title: 'Gallery',
+        imageAlt: 'Gallery Image {number}',
+        previous: 'Previous image',
+        next: 'Next image',
+        close: 'Close'
+    },
+
+    validation: {
+        required: 'This field is required',
+        select: 'Please make a selection',
+        selectAtLeastOne: 'Please select at least one option',
+        number: 'Please enter a number',
+        numberBetween: 'Please enter a number between {min} and {max}',
+        numberAtLeast: 'Please enter a number at least {min}',
+        numberAtMost: 'Please enter a number at most {max}',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number',
+        fixErrors: 'Please correct the errors above and try again.'
+    },
+
+    rsvp: {
+        title: 'RSVP',
+        name: 'Full Name *',
+        email: 'Email *',
+        phone: 'Phone Number',
+        phoneRequired: 'Phone Number *',
+        attendance: 'Will you be attending? *',
+        attendanceYes: "Yes, I'll be there!",
+        attendanceNo: "Sorry, can't make it",
+        attendanceMaybe: 'Maybe',
+        guestCount: 'Number of Guests',
+        guestCountSelf: 'Number of Guests (including yourself)',
+        guestCountParty: 'Number of Guests ({count} people including yourself)',
+        dietary: 'Dietary Requirements',
+        comments: 'Additional Comments',
+        submit: 'Send RSVP',
+        update: 'Update RSVP',
+        yourMeal: 'Your Meal',
+        noPreference: 'No preference',
+        menuOptionAllergens: '{name} (contains: {allergens})',
+        party: {
+            guest: 'Guest {number}',
+            name: 'Full Name *',
+            ageGroup: 'Age Group *',
+            meal: 'Meal Choice',
+            dietary: 'Dietary Needs'
+        },
+        errors: {
+            duplicateGuest: 'Each guest should only be listed once',
+            attendance: 'Please let us know whether you can attend',
+            guestCountSingle: 'This invitation is for 1 guest',
+            guestCountRange: 'Guest count must be between 1 and {max}',
+            submit: 'Sorry, there was an error submitting your RSVP. Please try again or contact us directly.',
+            cancel: 'Sorry, we could not cancel your RSVP. Please try again or contact us directly.'
+        },
+        success: {
+            title: 'Thank you for your RSVP!',
+            received: "We've received your response and will be in touch soon.",
+            pending: "You seem to be offline. Your RSVP is saved on this device and will be sent automatically when you're back online.",
+            unsaved: "Your RSVP has been sent, but it isn't saved on this device, so you won't see it here next time.",
+            unsavedPending: "You seem to be offline, and your RSVP isn't saved on this device. Keep this page open so it can be sent when you're back online, or it will be lost.",
+            editLinkIntro: 'Plans changed? Use this link to update your response, even from another device:',
+            editLinkLabel: 'Link to change your RSVP'
+        },
+        existing: {
+            title: "You've already responded",
+            summary: 'On {date}, {name} replied: {answer}.',
+            attending: {
+                one: 'attending with {count} guest in total',
+                other: 'attending with {count} guests in total'
+            },
+            notAttending: 'not attending',
+            maybe: 'maybe attending',
+            pending: "Your latest response hasn't been sent yet. It will go out automatically when you're back online.",
+            cancelledTitle: 'Your RSVP has been cancelled',
+            cancelledText: "We've let the organizer know. If your plans change again, you can respond again.",
+            respondAgain: 'Respond again'
+        },
+        change: 'Change my RSVP',
+        cancel: 'Cancel my RSVP',
+        confirmCancel: 'Are you sure you want to cancel your RSVP?',
+        modeChanging: "You're changing your RSVP. We'll let the organizer know what changed.",
+        modeUpdating: "You're updating an earlier RSVP. Please fill in your latest details.",
+        deadline: {
+            respondBy: 'Please respond by {date}.',
+            lastDay: 'Today is the last day to RSVP!',
+            daysLeft: {
+                one: 'Only {count} day left to RSVP. Please respond by {date}.',
+                other: 'Only {count} days left to RSVP. Please respond by {date}.'
+            },
+            closedTitle: 'RSVPs are now closed',
+            closedDefault: 'The RSVP deadline has passed.',
+            closedText: 'The RSVP deadline was {date}.',
+            closedTextLate: 'The RSVP deadline was {date}. If you still need to respond, please get in touch with the organizer.',
+            contactOrganizer: 'Contact the organizer'
+        }
+    },
+
+    guestbook: {
+        title: 'Guestbook',
+        intro: 'Leave a message for the hosts and everyone celebrating with us.',
+        name: 'Your Name *',
+        message: 'Message *',
+        photo: 'Photo (optional)',
+        photoPreview: 'Selected photo',
+        photoAlt: 'Photo from {name}',
+        submit: 'Sign the Guestbook',
+        posting: 'Posting...',
+        newer: '← Newer',
+        older: 'Older →',
+        page: 'Page {page} of {pages}',
+        empty: 'No messages yet. Be the first to sign the guestbook!',
+        awaitingApproval: 'Awaiting approval',
+        thanks: 'Thank you for your message!',
+        thanksModerated: 'Thank you! Your message will appear for everyone once it has been approved.',
+        queued: "You seem to be offline. Your message is saved and will be sent when you're back online.",
+        queuedUnsaved: "You seem to be offline. Keep this page open so your message can be sent when you're back online, or it will be lost.",
+        errors: {
+            name: 'Please enter your name',
+            message: 'Please write a message',
+            messageLength: 'Please keep your message under {max} characters',
+            photoType: 'Please choose an image file',
+            photoSize: 'Please choose a photo smaller than {size}',
+            photoRead: 'Could not read the photo',
+            submit: 'Sorry, we could not post your message. Please try again.'
+        }
+    },
+
+    contact: {
+        title: 'Contact Us',
+        getInTouch: 'Get in Touch',
+        organizer: 'Organizer:',
+        email: 'Email:',
+        phone: 'Phone:',
+        name: 'Your Name *',
+        yourEmail: 'Your Email *',
+        subject: 'Subject',
+        message: 'Message *',
+        submit: 'Send Message',
+        sentTitle: '✅ Message Sent Successfully!',
+        sentText: "Thank you for contacting us. We'll get back to you soon!",
+        savedTitle: '⏳ Message Saved',
+        savedText: "You seem to be offline. We'll send your message automatically when you're back online.",
+        unsavedTitle: '⏳ Message Not Sent Yet',
+        unsavedText: "You seem to be offline. Keep this page open so we can send your message when you're back online, or it will be lost.",
+        errors: {
+            messageLength: 'Message must be at least 10 characters long',
+            submit: 'Sorry, there was an error sending your message. Please try again or contact us directly.'
+        }
+    },
+
+    footer: {
+        rights: 'All rights reserved.'
+    },
+
+    storage: {
+        keptInSmallerStorage: 'This device is running out of space. Your latest changes were saved, but photos and long lists may not fit.',
+        notSaved: 'This device is out of space, so your latest changes will be lost when you close this page. Free up some space and try again.'
+    },
+
+    privacy: {
+        unlockLabel: 'Enter your passphrase to see the reply saved on this device',
+        setupLabel: 'Choose a passphrase to keep your reply on this device',
+        unlock: 'Unlock',
+        wrongPassphrase: 'That passphrase does not open the replies saved on this device.',
+        unavailable: 'Saved replies can only be unlocked over a secure (https) connection.',
+        forget: 'Forget my data on this device',
+        confirmForget: 'Remove everything this site has saved on this device? This includes your reply and any reply that hasn\'t been sent yet.',
+        forgetFailed: 'Your data could not be removed. Please try again.'
+    },
+
+    admin: {
+        title: 'Organizer Dashboard',
+        intro: 'Responses saved in this browser.',
+        password: 'Password',
+        unlock: 'Unlock',
+        lock: 'Lock',
+        wrongPassword: 'That password is not correct.',
+        unavailable: 'The dashboard can only be unlocked over a secure (https) connection.',
+        filterLabel: 'Filter responses',
+        filters: {
+            all: 'All',
+            yes: 'Attending',
+            no: 'Not attending',
+            maybe: 'Maybe'
+        },
+        search: 'Search names, emails, notes',
+        totals: {
+            yes: 'Guests attending',
+            maybe: 'Guests who may come',
+            no: 'Not attending',
+            all: 'Replies in total',
+            replies: { one: '{count} reply', other: '{count} replies' }
+        },
+        dietaryTitle: 'Dietary Requirements',
+        noDietary: 'No dietary requirements from attending guests.',
+        columns: {
+            name: 'Name',
+            contact: 'Contact',
+            response: 'Response',
+            guests: 'Guests',
+            dietary: 'Dietary',
+            comments: 'Comments',
+            received: 'Received'
+        },
+        status: {
+            yes: 'Attending',
+            no: 'Not attending',
+            maybe: 'Maybe',
+            cancelled: 'Cancelled'
+        },
+        empty: 'No RSVPs have been saved in this browser yet.',
+        noMatches: 'No responses match this filter.',
+        guests: {
+            title: 'Guest List',
+            file: 'Guest list (CSV)',
+            replace: 'Remove guests who aren\'t in this file',
+            import: 'Import',
+            imported: 'Guest list imported: {added} added, {updated} updated, {removed} removed.',
+            importFailed: 'The guest list could not be imported: {error}',
+            responsesFile: 'Replies from other devices (RSVP export or form service CSV)',
+            importResponses: 'Import replies',
+            responsesImported: 'Replies imported: {replies} replied, {opened} opened, {unmatched} not on the guest list.',
+            responsesImportFailed: 'The replies could not be imported: {error}',
+            summary: 'Invited: {invited} ({seats} seats) · Opened: {opened} · Replied: {responded} · Not replied: {pending} · Attending: {attending}',
+            pendingTitle: 'Not replied yet',
+            empty: 'Import a CSV with name, email, household, seats and group columns to track who has replied.',
+            allReplied: 'Everyone on the guest list has replied.',
+            columns: {
+                household: 'Household',
+                group: 'Group',
+                seats: 'Seats',
+                status: 'Status',
+                link: 'Invitation Link'
+            },
+            status: {
+                invited: 'Invited',
+                opened: 'Opened',
+                responded: 'Replied'
+            }
+        },
+        export: {
+            title: 'Download',
+            rsvpsCsv: 'RSVPs (CSV)',
+            attendeesCsv: 'Guest list, one row per person (CSV)',
+            contactsCsv: 'Contact messages (CSV)',
+            rsvpsJsonl: 'RSVPs (JSON Lines)',
+            contactsJsonl: 'Contact messages (JSON Lines)',
+            inviteesCsv: 'Invitees with links (CSV)',
+            inviteesJson: 'guests.json for invitation links',
+            note: 'CSV files open in Excel, Numbers and Google Sheets.',
+            columns: {
+                reference: 'Reference',
+                submitted: 'Submitted',
+                updated: 'Updated',
+                status: 'Status',
+                name: 'Name',
+                email: 'Email',
+                phone: 'Phone',
+                attendance: 'Attendance',
+                guests: 'Number of Guests',
+                meals: 'Meals',
+                meal: 'Meal',
+                dietary: 'Dietary Requirements',
+                additionalGuests: 'Additional Guests',
+                comments: 'Comments',
+                invitation: 'Invitation',
+                attendee: 'Guest #',
+                partyLead: 'Party',
+                ageGroup: 'Age Group',
+                subject: 'Subject',
+                message: 'Message',
+                household: 'Household',
+                group: 'Group',
+                seats: 'Seats',
+                invitationStatus: 'Invitation',
+                link: 'Invitation Link',
+                token: 'Token'
+            },
+            statuses: {
+                active: 'Active',
+                cancelled: 'Cancelled'
+            },
+            attendance: {
+                yes: 'Attending',
+                no: 'Not attending',
+                maybe: 'Maybe'
+            }
+        }
+    },
+
+    // Emails to the organizer (see i18n.emailLanguage)
+    email: {
+        subject: {
+            rsvp: 'RSVP Response from {name}',
+            rsvpUpdated: 'RSVP Updated by {name}',
+            rsvpCancelled: 'RSVP Cancelled by {name}',
+            contact: 'Contact Form Message from {name}',
+            guestbook: 'Guestbook Message from {name}',
+            invitationOpened: '{name} opened the invitation',
+            generic: 'New Form Submission'
+        },
+        rsvpHeading: 'RSVP Response Details:',
+        rsvpUpdatedHeading: 'RSVP Updated:',
+        rsvpCancelledHeading: 'RSVP Cancelled:',
+        guestCancelled: 'The guest has cancelled their RSVP.',
+        updatedResponse: 'Updated Response:',
+        cancelledResponse: 'Cancelled Response:',
+        contactHeading: 'Contact Form Message:',
+        guestbookHeading: 'Guestbook Message:',
+        invitationOpenedHeading: 'Invitation opened:',
+        changes: 'Changes:',
+        noPrevious: 'Previous response is not available on the device used for this update.',
+        noChanges: 'No details were changed.',
+        empty: '(empty)',
+        unnamedGuest: 'Unnamed guest',
+        noMessage: 'No message provided',
+        photoIncluded: 'included with this submission',
+        attendance: {
+            yes: 'yes',
+            no: 'no',
+            maybe: 'maybe'
+        },
+        answers: {
+            yes: 'Yes',
+            no: 'No'
+        },
+        fields: {
+            reference: 'Reference',
+            invitation: 'Invitation',
+            name: 'Name',
+            email: 'Email',
+            phone: 'Phone',
+            attendance: 'Attendance',
+            guestCount: 'Number of Guests',
+            meal: 'Meal',
+            dietary: 'Dietary Requirements',
+            dietaryShort: 'Dietary',
+            partyMembers: 'Additional Guests',
+            comments: 'Additional Comments',
+            customQuestions: 'Additional Questions',
+            editUrl: 'Change or cancel',
+            subject: 'Subject',
+            message: 'Message',
+            photo: 'Photo',
+            submitted: 'Submitted',
+            opened: 'Opened'
+        }
+    }
+});
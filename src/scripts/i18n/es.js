@@ -0,0 +1,441 @@
+// Spanish translations
+window.I18nService.addDictionary('es', {
+    meta: {
+        name: 'Español',
+        locale: 'es-ES',
+        direction: 'ltr'
+    },
+
+    common: {
+        loading: 'Cargando...',
+        sending: 'Enviando...',
+        pleaseSelect: 'Selecciona una opción',
+        yes: 'Sí',
+        no: 'No'
+    },
+
+    nav: {
+        home: 'Inicio',
+        details: 'Detalles',
+        gallery: 'Galería',
+        rsvp: 'Confirmar',
+        guestbook: 'Libro de firmas',
+        contact: 'Contacto',
+        language: 'Idioma',
+        theme: 'Tema',
+        admin: 'Panel de organización'
+    },
+
+    themes: {
+        auto: 'Como mi dispositivo',
+        default: 'Clásico',
+        dark: 'Oscuro',
+        wedding: 'Boda',
+        corporate: 'Corporativo',
+        party: 'Fiesta',
+        nature: 'Naturaleza',
+        elegant: 'Elegante'
+    },
+
+    hero: {
+        greeting: 'Querido/a {name}:',
+        rsvpNow: 'Confirmar asistencia',
+        rsvpBy: 'Por favor, confirma antes del {date}',
+        rsvpClosed: 'La confirmación de asistencia está cerrada'
+    },
+
+    countdown: {
+        days: { one: 'Día', other: 'Días' },
+        hours: { one: 'Hora', other: 'Horas' },
+        minutes: { one: 'Minuto', other: 'Minutos' },
+        seconds: { one: 'Segundo', other: 'Segundos' },
+        startingSoon: '⏰ Empieza pronto',
+        live: '🎉 ¡Está ocurriendo ahora!',
+        ended: '💐 ¡Gracias por venir!'
+    },
+
+    details: {
+        title: 'Detalles del evento',
+        dateTime: 'Fecha y hora',
+        location: 'Lugar',
+        dressCode: 'Código de vestimenta',
+        dining: 'Comida',
+        gettingThere: 'Cómo llegar',
+        parking: 'Aparcamiento:',
+        directions: 'Indicaciones:',
+        schedule: 'Programa',
+        whereToStay: 'Dónde alojarse',
+        gettingAround: 'Cómo moverse'
+    },
+
+    location: {
+        mapTitle: 'Mapa de {name}',
+        theVenue: 'el lugar del evento',
+        openIn: 'Abrir en {provider}'
+    },
+
+    accommodation: {
+        phone: 'Teléfono',
+        bookingCode: 'Código de reserva',
+        bookBy: 'Reserva antes del {date} para obtener la tarifa de grupo',
+        groupRateEnded: 'La tarifa de grupo terminó el {date}',
+        website: 'Visitar la web'
+    },
+
+    calendar: {
+        add: '📅 Añadir al calendario',
+        ics: 'Calendario de Apple / archivo .ics',
+        schedule: 'Programa:',
+        detailsLink: 'Detalles y confirmación: {url}'
+    },
+
+    gallery: {
+        title: 'Galería',
+        imageAlt: 'Imagen de la galería {number}',
+        previous: 'Imagen anterior',
+        next: 'Imagen siguiente',
+        close: 'Cerrar'
+    },
+
+    validation: {
+        required: 'Este campo es obligatorio',
+        select: 'Por favor, elige una opción',
+        selectAtLeastOne: 'Por favor, elige al menos una opción',
+        number: 'Por favor, introduce un número',
+        numberBetween: 'Por favor, introduce un número entre {min} y {max}',
+        numberAtLeast: 'Por favor, introduce un número mayor o igual que {min}',
+        numberAtMost: 'Por favor, introduce un número menor o igual que {max}',
+        email: 'Por favor, introduce un correo electrónico válido',
+        phone: 'Por favor, introduce un número de teléfono válido',
+        fixErrors: 'Por favor, corrige los errores indicados e inténtalo de nuevo.'
+    },
+
+    rsvp: {
+        title: 'Confirmar asistencia',
+        name: 'Nombre completo *',
+        email: 'Correo electrónico *',
+        phone: 'Teléfono',
+        phoneRequired: 'Teléfono *',
+        attendance: '¿Vas a asistir? *',
+        attendanceYes: '¡Sí, allí estaré!',
+        attendanceNo: 'Lo siento, no podré ir',
+        attendanceMaybe: 'Quizás',
+        guestCount: 'Número de invitados',
+        guestCountSelf: 'Número de invitados (incluyéndote a ti)',
+        guestCountParty: 'Número de invitados ({count} personas incluyéndote a ti)',
+        dietary: 'Necesidades alimentarias',
+        comments: 'Comentarios adicionales',
+        submit: 'Enviar confirmación',
+        update: 'Actualizar confirmación',
+        yourMeal: 'Tu menú',
+        noPreference: 'Sin preferencia',
+        menuOptionAllergens: '{name} (contiene: {allergens})',
+        party: {
+            guest: 'Invitado {number}',
+            name: 'Nombre completo *',
+            ageGroup: 'Grupo de edad *',
+            meal: 'Menú',
+            dietary: 'Necesidades alimentarias'
+        },
+        errors: {
+            duplicateGuest: 'Cada invitado solo debe aparecer una vez',
+            attendance: 'Por favor, indícanos si podrás asistir',
+            guestCountSingle: 'Esta invitación es para 1 persona',
+            guestCountRange: 'El número de invitados debe estar entre 1 y {max}',
+            submit: 'Lo sentimos, no se ha podido enviar tu confirmación. Inténtalo de nuevo o contacta directamente con nosotros.',
+            cancel: 'Lo sentimos, no se ha podido cancelar tu confirmación. Inténtalo de nuevo o contacta directamente con nosotros.'
+        },
+        success: {
+            title: '¡Gracias por tu confirmación!',
+            received: 'Hemos recibido tu respuesta y nos pondremos en contacto contigo pronto.',
+            pending: 'Parece que no tienes conexión. Tu confirmación está guardada en este dispositivo y se enviará automáticamente cuando vuelvas a estar en línea.',
+            unsaved: 'Tu confirmación se ha enviado, pero no está guardada en este dispositivo, así que no la verás aquí la próxima vez.',
+            unsavedPending: 'Parece que no tienes conexión y tu confirmación no está guardada en este dispositivo. Mantén esta página abierta para que se envíe cuando vuelvas a estar en línea, o se perderá.',
+            editLinkIntro: '¿Han cambiado tus planes? Usa este enlace para actualizar tu respuesta, incluso desde otro dispositivo:',
+            editLinkLabel: 'Enlace para cambiar tu confirmación'
+        },
+        existing: {
+            title: 'Ya has respondido',
+            summary: 'El {date}, {name} respondió: {answer}.',
+            attending: {
+                one: 'asistirá, {count} invitado en total',
+                other: 'asistirá, {count} invitados en total'
+            },
+            notAttending: 'no asistirá',
+            maybe: 'quizás asista',
+            pending: 'Tu última respuesta aún no se ha enviado. Se enviará automáticamente cuando vuelvas a estar en línea.',
+            cancelledTitle: 'Tu confirmación ha sido cancelada',
+            cancelledText: 'Se lo hemos comunicado a los organizadores. Si tus planes vuelven a cambiar, puedes responder de nuevo.',
+            respondAgain: 'Responder de nuevo'
+        },
+        change: 'Cambiar mi confirmación',
+        cancel: 'Cancelar mi confirmación',
+        confirmCancel: '¿Seguro que quieres cancelar tu confirmación?',
+        modeChanging: 'Estás cambiando tu confirmación. Avisaremos a los organizadores de lo que ha cambiado.',
+        modeUpdating: 'Estás actualizando una confirmación anterior. Por favor, indica tus datos más recientes.',
+        deadline: {
+            respondBy: 'Por favor, responde antes del {date}.',
+            lastDay: '¡Hoy es el último día para confirmar!',
+            daysLeft: {
+                one: 'Solo queda {count} día para confirmar. Por favor, responde antes del {date}.',
+                other: 'Solo quedan {count} días para confirmar. Por favor, responde antes del {date}.'
+            },
+            closedTitle: 'La confirmación de asistencia está cerrada',
+            closedDefault: 'El plazo para confirmar ha terminado.',
+            closedText: 'El plazo para confirmar terminó el {date}.',
+            closedTextLate: 'El plazo para confirmar terminó el {date}. Si aún necesitas responder, ponte en contacto con los organizadores.',
+            contactOrganizer: 'Contactar con los organizadores'
+        }
+    },
+
+    guestbook: {
+        title: 'Libro de firmas',
+        intro: 'Deja un mensaje para los anfitriones y para todos los que celebran con nosotros.',
+        name: 'Tu nombre *',
+        message: 'Mensaje *',
+        photo: 'Foto (opcional)',
+        photoPreview: 'Foto seleccionada',
+        photoAlt: 'Foto de {name}',
+        submit: 'Firmar el libro',
+        posting: 'Publicando...',
+        newer: '← Más recientes',
+        older: 'Más antiguos →',
+        page: 'Página {page} de {pages}',
+        empty: 'Todavía no hay mensajes. ¡Sé el primero en firmar!',
+        awaitingApproval: 'Pendiente de aprobación',
+        thanks: '¡Gracias por tu mensaje!',
+        thanksModerated: '¡Gracias! Tu mensaje será visible para todos cuando se apruebe.',
+        queued: 'Parece que no tienes conexión. Tu mensaje está guardado y se enviará cuando vuelvas a estar en línea.',
+        queuedUnsaved: 'Parece que no tienes conexión. Mantén esta página abierta para que tu mensaje se envíe cuando vuelvas a estar en línea, o se perderá.',
+        errors: {
+            name: 'Por favor, escribe tu nombre',
+            message: 'Por favor, escribe un mensaje',
+            messageLength: 'Por favor, escribe un mensaje de menos de {max} caracteres',
+            photoType: 'Por favor, elige un archivo de imagen',
+            photoSize: 'Por favor, elige una foto de menos de {size}',
+            photoRead: 'No se ha podido leer la foto',
+            submit: 'Lo sentimos, no se ha podido publicar tu mensaje. Inténtalo de nuevo.'
+        }
+    },
+
+    contact: {
+        title: 'Contacto',
+        getInTouch: 'Ponte en contacto',
+        organizer: 'Organización:',
+        email: 'Correo:',
+        phone: 'Teléfono:',
+        name: 'Tu nombre *',
+        yourEmail: 'Tu correo electrónico *',
+        subject: 'Asunto',
+        message: 'Mensaje *',
+        submit: 'Enviar mensaje',
+        sentTitle: '✅ ¡Mensaje enviado!',
+        sentText: 'Gracias por escribirnos. ¡Te responderemos pronto!',
+        savedTitle: '⏳ Mensaje guardado',
+        savedText: 'Parece que no tienes conexión. Enviaremos tu mensaje automáticamente cuando vuelvas a estar en línea.',
+        unsavedTitle: '⏳ Mensaje aún no enviado',
+        unsavedText: 'Parece que no tienes conexión. Mantén esta página abierta para que podamos enviar tu mensaje cuando vuelvas a estar en línea, o se perderá.',
+        errors: {
+            messageLength: 'El mensaje debe tener al menos 10 caracteres',
+            submit: 'Lo sentimos, no se ha podido enviar tu mensaje. Inténtalo de nuevo o contacta directamente con nosotros.'
+        }
+    },
+
+    footer: {
+        rights: 'Todos los derechos reservados.'
+    },
+
+    storage: {
+        keptInSmallerStorage: 'Este dispositivo se está quedando sin espacio. Tus últimos cambios se han guardado, pero puede que las fotos y las listas largas no quepan.',
+        notSaved: 'Este dispositivo no tiene espacio, así que tus últimos cambios se perderán al cerrar esta página. Libera espacio e inténtalo de nuevo.'
+    },
+
+    privacy: {
+        unlockLabel: 'Escribe tu frase de acceso para ver la respuesta guardada en este dispositivo',
+        setupLabel: 'Elige una frase de acceso para guardar tu respuesta en este dispositivo',
+        unlock: 'Desbloquear',
+        wrongPassphrase: 'Esa frase de acceso no abre las respuestas guardadas en este dispositivo.',
+        unavailable: 'Las respuestas guardadas solo se pueden desbloquear con una conexión segura (https).',
+        forget: 'Olvidar mis datos en este dispositivo',
+        confirmForget: '¿Borrar todo lo que este sitio ha guardado en este dispositivo? Incluye tu respuesta y cualquier respuesta que aún no se haya enviado.',
+        forgetFailed: 'No se han podido borrar tus datos. Inténtalo de nuevo.'
+    },
+
+    admin: {
+        title: 'Panel de organización',
+        intro: 'Respuestas guardadas en este navegador.',
+        password: 'Contraseña',
+        unlock: 'Entrar',
+        lock: 'Bloquear',
+        wrongPassword: 'La contraseña no es correcta.',
+        unavailable: 'El panel solo se puede abrir con una conexión segura (https).',
+        filterLabel: 'Filtrar respuestas',
+        filters: {
+            all: 'Todas',
+            yes: 'Asistirán',
+            no: 'No asistirán',
+            maybe: 'Quizás'
+        },
+        search: 'Buscar nombres, correos, notas',
+        totals: {
+            yes: 'Invitados que asistirán',
+            maybe: 'Invitados que quizás vengan',
+            no: 'No asistirán',
+            all: 'Respuestas en total',
+            replies: { one: '{count} respuesta', other: '{count} respuestas' }
+        },
+        dietaryTitle: 'Necesidades alimentarias',
+        noDietary: 'Ningún invitado que asistirá ha indicado necesidades alimentarias.',
+        columns: {
+            name: 'Nombre',
+            contact: 'Contacto',
+            response: 'Respuesta',
+            guests: 'Invitados',
+            dietary: 'Alimentación',
+            comments: 'Comentarios',
+            received: 'Recibida'
+        },
+        status: {
+            yes: 'Asistirá',
+            no: 'No asistirá',
+            maybe: 'Quizás',
+            cancelled: 'Cancelada'
+        },
+        empty: 'Todavía no hay confirmaciones guardadas en este navegador.',
+        noMatches: 'Ninguna respuesta coincide con este filtro.',
+        guests: {
+            title: 'Lista de invitados',
+            file: 'Lista de invitados (CSV)',
+            replace: 'Quitar a los invitados que no estén en este archivo',
+            import: 'Importar',
+            imported: 'Lista importada: {added} añadidos, {updated} actualizados, {removed} eliminados.',
+            importFailed: 'No se pudo importar la lista de invitados: {error}',
+            responsesFile: 'Respuestas de otros dispositivos (exportación de confirmaciones o CSV del servicio de formularios)',
+            importResponses: 'Importar respuestas',
+            responsesImported: 'Respuestas importadas: {replies} respondidas, {opened} abiertas, {unmatched} fuera de la lista.',
+            responsesImportFailed: 'No se pudieron importar las respuestas: {error}',
+            summary: 'Invitados: {invited} ({seats} plazas) · Abiertas: {opened} · Respondidas: {responded} · Sin respuesta: {pending} · Asistirán: {attending}',
+            pendingTitle: 'Sin respuesta todavía',
+            empty: 'Importa un CSV con columnas de nombre, correo, familia, plazas y grupo para ver quién ha respondido.',
+            allReplied: 'Todos los invitados de la lista han respondido.',
+            columns: {
+                household: 'Familia',
+                group: 'Grupo',
+                seats: 'Plazas',
+                status: 'Estado',
+                link: 'Enlace de invitación'
+            },
+            status: {
+                invited: 'Invitado',
+                opened: 'Abierta',
+                responded: 'Respondida'
+            }
+        },
+        export: {
+            title: 'Descargar',
+            rsvpsCsv: 'Confirmaciones (CSV)',
+            attendeesCsv: 'Lista de invitados, una fila por persona (CSV)',
+            contactsCsv: 'Mensajes de contacto (CSV)',
+            rsvpsJsonl: 'Confirmaciones (JSON Lines)',
+            contactsJsonl: 'Mensajes de contacto (JSON Lines)',
+            inviteesCsv: 'Invitados con enlaces (CSV)',
+            inviteesJson: 'guests.json para los enlaces de invitación',
+            note: 'Los archivos CSV se abren en Excel, Numbers y Hojas de cálculo de Google.',
+            columns: {
+                reference: 'Referencia',
+                submitted: 'Enviado',
+                updated: 'Actualizado',
+                status: 'Estado',
+                name: 'Nombre',
+                email: 'Correo',
+                phone: 'Teléfono',
+                attendance: 'Asistencia',
+                guests: 'Número de invitados',
+                meals: 'Menú',
+                meal: 'Menú',
+                dietary: 'Necesidades alimentarias',
+                additionalGuests: 'Otros invitados',
+                comments: 'Comentarios',
+                invitation: 'Invitación',
+                attendee: 'Invitado n.º',
+                partyLead: 'Grupo',
+                ageGroup: 'Grupo de edad',
+                subject: 'Asunto',
+                message: 'Mensaje',
+                household: 'Familia',
+                group: 'Grupo',
+                seats: 'Plazas',
+                invitationStatus: 'Invitación',
+                link: 'Enlace de invitación',
+                token: 'Código'
+            },
+            statuses: {
+                active: 'Activa',
+                cancelled: 'Cancelada'
+            },
+            attendance: {
+                yes: 'Asistirá',
+                no: 'No asistirá',
+                maybe: 'Quizás'
+            }
+        }
+    },
+
+    email: {
+        subject: {
+            rsvp: 'Confirmación de {name}',
+            rsvpUpdated: 'Confirmación actualizada por {name}',
+            rsvpCancelled: 'Confirmación cancelada por {name}',
+            contact: 'Mensaje de contacto de {name}',
+            guestbook: 'Mensaje en el libro de firmas de {name}',
+            invitationOpened: '{name} ha abierto la invitación',
+            generic: 'Nuevo formulario recibido'
+        },
+        rsvpHeading: 'Detalles de la confirmación:',
+        rsvpUpdatedHeading: 'Confirmación actualizada:',
+        rsvpCancelledHeading: 'Confirmación cancelada:',
+        guestCancelled: 'El invitado ha cancelado su confirmación.',
+        updatedResponse: 'Respuesta actualizada:',
+        cancelledResponse: 'Respuesta cancelada:',
+        contactHeading: 'Mensaje del formulario de contacto:',
+        guestbookHeading: 'Mensaje del libro de firmas:',
+        invitationOpenedHeading: 'Invitación abierta:',
+        changes: 'Cambios:',
+        noPrevious: 'La respuesta anterior no está disponible en el dispositivo usado para esta actualización.',
+        noChanges: 'No se ha cambiado ningún dato.',
+        empty: '(vacío)',
+        unnamedGuest: 'Invitado sin nombre',
+        noMessage: 'Sin mensaje',
+        photoIncluded: 'incluida en este envío',
+        attendance: {
+            yes: 'sí',
+            no: 'no',
+            maybe: 'quizás'
+        },
+        answers: {
+            yes: 'Sí',
+            no: 'No'
+        },
+        fields: {
+            reference: 'Referencia',
+            invitation: 'Invitación',
+            name: 'Nombre',
+            email: 'Correo',
+            phone: 'Teléfono',
+            attendance: 'Asistencia',
+            guestCount: 'Número de invitados',
+            meal: 'Menú',
+            dietary: 'Necesidades alimentarias',
+            dietaryShort: 'Alimentación',
+            partyMembers: 'Otros invitados',
+            comments: 'Comentarios adicionales',
+            customQuestions: 'Otras preguntas',
+            editUrl: 'Cambiar o cancelar',
+            subject: 'Asunto',
+            message: 'Mensaje',
+            photo: 'Foto',
+            submitted: 'Enviado',
+            opened: 'Abierta'
+        }
+    }
+});
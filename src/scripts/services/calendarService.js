@@ -0,0 +1,378 @@
+// Calendar Service - Add-to-calendar links and ICS files built from the event config
+class CalendarService {
+    constructor() {
+        this.config = null;
+        this.providers = {
+            google: { label: 'Google Calendar', getUrl: this.getGoogleUrl.bind(this) },
+            outlook: { label: 'Outlook', getUrl: this.getOutlookUrl.bind(this) },
+            yahoo: { label: 'Yahoo Calendar', getUrl: this.getYahooUrl.bind(this) }
+        };
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.getEvent = this.getEvent.bind(this);
+        this.generateICS = this.generateICS.bind(this);
+        this.downloadICS = this.downloadICS.bind(this);
+    }
+
+    init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.config = {
+            enabled: true,
+            providers: ['google', 'outlook', 'yahoo', 'ics'],
+            scheduleAsEvents: false,
+            defaultDuration: 3,
+            ...(appConfig?.calendar || {})
+        };
+    }
+
+    getConfig() {
+        if (!this.config) {
+            this.init();
+        }
+        return this.config;
+    }
+
+    isAvailable() {
+        return this.getConfig().enabled !== false && !!this.getEvent();
+    }
+
+    // Normalised event with real start/end instants, or null when no start is configured
+    getEvent() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        const event = appConfig?.event;
+        if (!event || !event.start) return null;
+
+        const start = this.toDate(event.start, event.timezone);
+        if (!start) {
+            console.warn('⚠️ Invalid event.start in config:', event.start);
+            return null;
+        }
+
+        let end = event.end ? this.toDate(event.end, event.timezone) : null;
+        if (!end || end <= start) {
+            end = new Date(start.getTime() + this.getConfig().defaultDuration * 60 * 60 * 1000);
+        }
+
+        const location = appConfig.details?.location;
+
+        return {
+            title: event.title || 'Event',
+            subtitle: event.subtitle || '',
+            location: location && location.address
+                ? [location.name, location.address].filter(Boolean).join(', ')
+                : (event.location || ''),
+            start,
+            end,
+            timezone: event.timezone || null,
+            url: window.location.origin + window.location.pathname,
+            schedule: this.getScheduleItems(appConfig.schedule, event, end)
+        };
+    }
+
+    toDate(value, timeZone) {
+        return window.Helpers
+            ? window.Helpers.zonedTimeToUtc(value, timeZone)
+            : new Date(value);
+    }
+
+    // Place the schedule's display times ('5:30 PM') on the event day, rolling past midnight
+    getScheduleItems(schedule, event, end) {
+        if (!Array.isArray(schedule) || !window.Helpers) return [];
+
+        const day = String(event.start).slice(0, 10);
+        let dayOffset = 0;
+        let previous = null;
+
+        const items = schedule.map(item => {
+            const time = window.Helpers.parseTimeOfDay(item.time);
+            if (!time) return null;
+
+            const pad = (value) => String(value).padStart(2, '0');
+            let itemStart = this.toDate(`${day}T${pad(time.hours)}:${pad(time.minutes)}`, event.timezone);
+            if (!itemStart) return null;
+
+            itemStart = new Date(itemStart.getTime() + dayOffset * 24 * 60 * 60 * 1000);
+            if (previous && itemStart < previous) {
+                dayOffset++;
+                itemStart = new Date(itemStart.getTime() + 24 * 60 * 60 * 1000);
+            }
+            previous = itemStart;
+
+            return { ...item, start: itemStart };
+        }).filter(Boolean);
+
+        // Each item runs until the next one starts; the last until the event ends
+        return items.map((item, index) => {
+            const next = items[index + 1];
+            const itemEnd = next ? next.start : end;
+            return {
+                ...item,
+                end: itemEnd > item.start ? itemEnd : new Date(item.start.getTime() + 30 * 60 * 1000)
+            };
+        });
+    }
+
+    getDescription(event) {
+        const lines = [];
+
+        if (event.subtitle) {
+            lines.push(event.subtitle, '');
+        }
+
+        if (event.schedule.length) {
+            lines.push(this.t('calendar.schedule'));
+            event.schedule.forEach(item => {
+                lines.push(`${item.time} - ${item.title}`);
+            });
+            lines.push('');
+        }
+
+        lines.push(this.t('calendar.detailsLink', { url: event.url }));
+        return lines.join('\n');
+    }
+
+    // 20251225T230000Z
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeICS(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 characters are folded onto continuation lines
+    foldICSLine(line) {
+        const chunks = [];
+        let rest = line;
+
+        while (rest.length > 75) {
+            chunks.push(rest.slice(0, 75));
+            rest = ' ' + rest.slice(75);
+        }
+        chunks.push(rest);
+
+        return chunks.join('\r\n');
+    }
+
+    createVEvent(uid, summary, description, location, start, end, url) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${this.formatUTC(new Date())}`,
+            `DTSTART:${this.formatUTC(start)}`,
+            `DTEND:${this.formatUTC(end)}`,
+            `SUMMARY:${this.escapeICS(summary)}`
+        ];
+
+        if (description) lines.push(`DESCRIPTION:${this.escapeICS(description)}`);
+        if (location) lines.push(`LOCATION:${this.escapeICS(location)}`);
+        if (url) lines.push(`URL:${url}`);
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    generateICS() {
+        const event = this.getEvent();
+        if (!event) return null;
+
+        const slug = window.Helpers ? window.Helpers.slugify(event.title) : 'event';
+        const uidBase = `${this.formatUTC(event.start)}-${slug}`;
+        const host = window.location.hostname || 'invitation.local';
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Event Invitation App//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...this.createVEvent(
+                `${uidBase}@${host}`,
+                event.title,
+                this.getDescription(event),
+                event.location,
+                event.start,
+                event.end,
+                event.url
+            )
+        ];
+
+        if (this.getConfig().scheduleAsEvents) {
+            event.schedule.forEach((item, index) => {
+                lines.push(...this.createVEvent(
+                    `${uidBase}-${index + 1}@${host}`,
+                    `${item.title} - ${event.title}`,
+                    item.description,
+                    event.location,
+                    item.start,
+                    item.end,
+                    event.url
+                ));
+            });
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    downloadICS() {
+        const ics = this.generateICS();
+        if (!ics) return false;
+
+        const event = this.getEvent();
+        const filename = `${window.Helpers ? window.Helpers.slugify(event.title) : 'event'}.ics`;
+
+        if (window.Helpers) {
+            window.Helpers.downloadFile(ics, filename, 'text/calendar;charset=utf-8');
+        }
+
+        this.emit('calendar:added', { provider: 'ics' });
+        return true;
+    }
+
+    getGoogleUrl(event) {
+        const params = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: event.title,
+            dates: `${this.formatUTC(event.start)}/${this.formatUTC(event.end)}`,
+            details: this.getDescription(event),
+            location: event.location
+        });
+
+        if (event.timezone) {
+            params.set('ctz', event.timezone);
+        }
+
+        return `https://calendar.google.com/calendar/render?${params.toString()}`;
+    }
+
+    getOutlookUrl(event) {
+        const params = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.title,
+            startdt: event.start.toISOString(),
+            enddt: event.end.toISOString(),
+            body: this.getDescription(event),
+            location: event.location
+        });
+
+        return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+    }
+
+    getYahooUrl(event) {
+        const params = new URLSearchParams({
+            v: '60',
+            title: event.title,
+            st: this.formatUTC(event.start),
+            et: this.formatUTC(event.end),
+            desc: this.getDescription(event),
+            in_loc: event.location
+        });
+
+        return `https://calendar.yahoo.com/?${params.toString()}`;
+    }
+
+    getLinks() {
+        const event = this.getEvent();
+        if (!event) return [];
+
+        return this.getConfig().providers
+            .filter(id => this.providers[id])
+            .map(id => ({
+                id,
+                label: this.providers[id].label,
+                url: this.providers[id].getUrl(event)
+            }));
+    }
+
+    // Drop-down with a link per provider and an .ics download
+    createCalendarMenu() {
+        if (!this.isAvailable()) return null;
+
+        const menu = document.createElement('details');
+        menu.className = 'add-to-calendar';
+
+        const summary = document.createElement('summary');
+        summary.className = 'btn btn-secondary';
+        summary.textContent = this.t('calendar.add');
+        menu.appendChild(summary);
+
+        const options = document.createElement('div');
+        options.className = 'calendar-options';
+
+        this.getLinks().forEach(link => {
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = link.label;
+            anchor.dataset.provider = link.id;
+            anchor.addEventListener('click', () => {
+                this.emit('calendar:added', { provider: link.id });
+                menu.open = false;
+            });
+            options.appendChild(anchor);
+        });
+
+        if (this.getConfig().providers.includes('ics')) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = this.t('calendar.ics');
+            button.dataset.provider = 'ics';
+            button.addEventListener('click', () => {
+                this.downloadICS();
+                menu.open = false;
+            });
+            options.appendChild(button);
+        }
+
+        menu.appendChild(options);
+        return menu;
+    }
+
+    // Fill a placeholder element with the calendar menu, hiding it when there's nothing to offer
+    renderCalendarMenu(container) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        const menu = this.createCalendarMenu();
+
+        if (menu) {
+            container.appendChild(menu);
+            container.classList.remove('hidden');
+        } else {
+            container.classList.add('hidden');
+        }
+    }
+
+    t(key, params) {
+        return window.I18nService ? window.I18nService.t(key, params) : key;
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.CalendarService = new CalendarService();
+
+// Auto-initialize when app is ready
+if (window.EventBus) {
+    window.EventBus.on('app:ready', () => {
+        window.CalendarService.init();
+    });
+}
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarService;
+}
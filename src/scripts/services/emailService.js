@@ -65,6 +65,10 @@ class EmailService {
             return !!(data.guestName && data.guestEmail && data.attendance);
         } else if (data.formType === 'contact') {
             return !!(data.contactName && data.contactEmail && data.contactMessage);
+        } else if (data.formType === 'guestbook') {
+            return !!(data.guestName && data.guestMessage);
+        } else if (data.formType === 'invitation') {
+            return !!data.invitationId;
         }
 
         // Generic validation
@@ -122,10 +126,11 @@ class EmailService {
         // Add form-name for Netlify
         payload.append('form-name', data.formType || 'contact');
         
-        // Add all form fields
+        // Add all form fields (structured values are sent as JSON)
         Object.keys(data).forEach(key => {
             if (data[key]) {
-                payload.append(key, data[key]);
+                const value = typeof data[key] === 'object' ? JSON.stringify(data[key]) : data[key];
+                payload.append(key, value);
             }
         });
 
@@ -196,11 +201,21 @@ class EmailService {
 
     generateSubject(data) {
         if (data.formType === 'rsvp') {
-            return `RSVP Response from ${data.guestName}`;
+            const reference = data.invitationId ? ` [${data.invitationId}]` : '';
+            if (data.rsvpAction === 'updated') {
+                return this.t('subject.rsvpUpdated', { name: data.guestName }) + reference;
+            } else if (data.rsvpAction === 'cancelled') {
+                return this.t('subject.rsvpCancelled', { name: data.guestName }) + reference;
+            }
+            return this.t('subject.rsvp', { name: data.guestName }) + reference;
         } else if (data.formType === 'contact') {
-            return data.contactSubject || `Contact Form Message from ${data.contactName}`;
+            return data.contactSubject || this.t('subject.contact', { name: data.contactName });
+        } else if (data.formType === 'guestbook') {
+            return this.t('subject.guestbook', { name: data.guestName });
+        } else if (data.formType === 'invitation') {
+            return this.t('subject.invitationOpened', { name: data.guestName || data.invitationId });
         }
-        return 'New Form Submission';
+        return this.t('subject.generic');
     }
 
     formatMessage(data) {
@@ -210,57 +225,264 @@ class EmailService {
             message = this.formatRSVPMessage(data);
         } else if (data.formType === 'contact') {
             message = this.formatContactMessage(data);
+        } else if (data.formType === 'guestbook') {
+            message = this.formatGuestbookMessage(data);
+        } else if (data.formType === 'invitation') {
+            message = this.formatInvitationMessage(data);
         } else {
             // Generic message formatting
-            message = data.message || data.contactMessage || 'No message provided';
+            message = data.message || data.contactMessage || this.t('noMessage');
         }
 
         return message;
     }
 
+    // Emails are written in the organizer's language (i18n.emailLanguage), not the guest's
+    t(key, params) {
+        if (!window.I18nService) return key;
+        return window.I18nService.t(`email.${key}`, params, window.I18nService.getEmailLanguage());
+    }
+
+    // "Label: value" line using a translated field name
+    formatField(field, value) {
+        return `${this.t(`fields.${field}`)}: ${value}\n`;
+    }
+
+    formatTimestamp(timestamp) {
+        const locale = window.I18nService
+            ? window.I18nService.getLocale(window.I18nService.getEmailLanguage())
+            : undefined;
+        return new Date(timestamp).toLocaleString(locale);
+    }
+
+    formatAttendance(attendance) {
+        return ['yes', 'no', 'maybe'].includes(attendance)
+            ? this.t(`attendance.${attendance}`)
+            : attendance;
+    }
+
     formatRSVPMessage(data) {
-        let message = `RSVP Response Details:\n\n`;
-        message += `Name: ${data.guestName}\n`;
-        message += `Email: ${data.guestEmail}\n`;
+        let message = `${this.t('rsvpHeading')}\n\n`;
+
+        if (data.rsvpAction === 'updated') {
+            message = `${this.t('rsvpUpdatedHeading')}\n\n`;
+            message += this.formatRSVPChanges(data.changes);
+            message += `\n${this.t('updatedResponse')}\n\n`;
+        } else if (data.rsvpAction === 'cancelled') {
+            message = `${this.t('rsvpCancelledHeading')}\n\n`;
+            message += `${this.t('guestCancelled')}\n`;
+            message += this.formatRSVPChanges(data.changes);
+            message += `\n${this.t('cancelledResponse')}\n\n`;
+        }
+
+        if (data.id) {
+            message += this.formatField('reference', data.id);
+        }
+
+        if (data.invitationId) {
+            message += this.formatField('invitation', data.invitationId);
+        }
+
+        message += this.formatField('name', data.guestName);
+        message += this.formatField('email', data.guestEmail);
         
         if (data.guestPhone) {
-            message += `Phone: ${data.guestPhone}\n`;
+            message += this.formatField('phone', data.guestPhone);
         }
         
-        message += `Attendance: ${data.attendance}\n`;
+        message += this.formatField('attendance', this.formatAttendance(data.attendance));
         
         if (data.guestCount) {
-            message += `Number of Guests: ${data.guestCount}\n`;
+            message += this.formatField('guestCount', data.guestCount);
         }
         
+        if (Array.isArray(data.meals) && data.meals.length > 0) {
+            message += this.formatField('meal', this.formatMeals(data.meals));
+        }
+
         if (data.dietaryRequirements) {
-            message += `Dietary Requirements: ${data.dietaryRequirements}\n`;
+            message += this.formatField('dietary', data.dietaryRequirements);
+        }
+
+        if (Array.isArray(data.partyMembers) && data.partyMembers.length > 0) {
+            message += `\n${this.t('fields.partyMembers')}:\n`;
+            data.partyMembers.forEach((member, index) => {
+                message += this.formatPartyMember(member, index + 2);
+            });
         }
         
         if (data.comments) {
-            message += `Additional Comments: ${data.comments}\n`;
+            message += this.formatField('comments', data.comments);
+        }
+
+        const answers = Array.isArray(data.customAnswers)
+            ? data.customAnswers.filter(answer => this.formatAnswerValue(answer.value))
+            : [];
+
+        if (answers.length > 0) {
+            message += `\n${this.t('fields.customQuestions')}:\n`;
+            answers.forEach(answer => {
+                message += `${answer.label}: ${this.formatAnswerValue(answer.value)}\n`;
+            });
         }
         
-        message += `\nSubmitted: ${new Date(data.timestamp).toLocaleString()}`;
+        if (data.editUrl) {
+            message += `\n${this.formatField('editUrl', data.editUrl)}`;
+        }
+
+        message += `\n${this.t('fields.submitted')}: ${this.formatTimestamp(data.timestamp)}`;
         
         return message;
     }
 
+    formatRSVPChanges(changes) {
+        if (!Array.isArray(changes)) {
+            return `${this.t('noPrevious')}\n`;
+        }
+
+        if (changes.length === 0) {
+            return `${this.t('noChanges')}\n`;
+        }
+
+        const empty = this.t('empty');
+        let message = `${this.t('changes')}\n`;
+        changes.forEach(change => {
+            message += `- ${change.field}: ${change.from || empty} → ${change.to || empty}\n`;
+        });
+
+        return message;
+    }
+
+    // Flatten an RSVP into labelled, human-readable values
+    getRSVPSummary(data) {
+        const label = (field) => this.t(`fields.${field}`);
+        const summary = {
+            [label('name')]: data.guestName,
+            [label('email')]: data.guestEmail,
+            [label('phone')]: data.guestPhone,
+            [label('attendance')]: data.attendance ? this.formatAttendance(data.attendance) : '',
+            [label('guestCount')]: data.guestCount,
+            [label('meal')]: Array.isArray(data.meals) ? this.formatMeals(data.meals) : '',
+            [label('dietary')]: data.dietaryRequirements,
+            [label('comments')]: data.comments,
+            [label('partyMembers')]: Array.isArray(data.partyMembers)
+                ? data.partyMembers.map((member, index) => this.formatPartyMember(member, index + 2).trim()).join('; ')
+                : ''
+        };
+
+        if (Array.isArray(data.customAnswers)) {
+            data.customAnswers.forEach(answer => {
+                summary[answer.label] = this.formatAnswerValue(answer.value);
+            });
+        }
+
+        Object.keys(summary).forEach(key => {
+            const value = summary[key];
+            summary[key] = value === undefined || value === null ? '' : String(value).trim();
+        });
+
+        return summary;
+    }
+
+    // List the fields that differ between two versions of an RSVP
+    diffRSVP(previous, current) {
+        const before = this.getRSVPSummary(previous || {});
+        const after = this.getRSVPSummary(current || {});
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return fields
+            .filter(field => (before[field] || '') !== (after[field] || ''))
+            .map(field => ({
+                field,
+                from: before[field] || '',
+                to: after[field] || ''
+            }));
+    }
+
+    formatPartyMember(member, number) {
+        let line = `${number}. ${member.name || this.t('unnamedGuest')}`;
+
+        if (member.ageGroup) {
+            line += ` (${member.ageGroup})`;
+        }
+
+        if (Array.isArray(member.meals) && member.meals.length > 0) {
+            line += ` - ${this.t('fields.meal')}: ${this.formatMeals(member.meals)}`;
+        } else if (member.meal) {
+            line += ` - ${this.t('fields.meal')}: ${member.meal}`;
+        }
+
+        if (member.dietaryRequirements) {
+            line += ` - ${this.t('fields.dietaryShort')}: ${member.dietaryRequirements}`;
+        }
+
+        return line + '\n';
+    }
+
+    formatMeals(meals) {
+        return meals.map(meal => `${meal.course}: ${meal.option}`).join(', ');
+    }
+
+    formatAnswerValue(value) {
+        if (typeof value === 'boolean') {
+            return this.t(value ? 'answers.yes' : 'answers.no');
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
     formatContactMessage(data) {
-        let message = `Contact Form Message:\n\n`;
-        message += `Name: ${data.contactName}\n`;
-        message += `Email: ${data.contactEmail}\n`;
+        let message = `${this.t('contactHeading')}\n\n`;
+        message += this.formatField('name', data.contactName);
+        message += this.formatField('email', data.contactEmail);
         
         if (data.contactSubject) {
-            message += `Subject: ${data.contactSubject}\n`;
+            message += this.formatField('subject', data.contactSubject);
         }
         
-        message += `\nMessage:\n${data.contactMessage}\n`;
-        message += `\nSubmitted: ${new Date(data.timestamp).toLocaleString()}`;
+        message += `\n${this.t('fields.message')}:\n${data.contactMessage}\n`;
+        message += `\n${this.t('fields.submitted')}: ${this.formatTimestamp(data.timestamp)}`;
         
         return message;
     }
 
+    formatGuestbookMessage(data) {
+        let message = `${this.t('guestbookHeading')}\n\n`;
+        message += this.formatField('name', data.guestName);
+
+        if (data.invitationId) {
+            message += this.formatField('invitation', data.invitationId);
+        }
+
+        message += `\n${this.t('fields.message')}:\n${data.guestMessage}\n`;
+
+        if (data.photo) {
+            message += `\n${this.formatField('photo', this.t('photoIncluded'))}`;
+        }
+
+        if (data.id) {
+            message += `\n${this.t('fields.reference')}: ${data.id}`;
+        }
+        message += `\n${this.t('fields.submitted')}: ${this.formatTimestamp(data.timestamp)}`;
+
+        return message;
+    }
+
+    // Sent once per device when invitations.reportOpens is on; import it under Guest List
+    formatInvitationMessage(data) {
+        let message = `${this.t('invitationOpenedHeading')}\n\n`;
+
+        if (data.guestName) {
+            message += this.formatField('name', data.guestName);
+        }
+        message += this.formatField('invitation', data.invitationId);
+        message += this.formatField('opened', this.formatTimestamp(data.openedAt));
+
+        return message;
+    }
+
     // Test email configuration
     async testConfiguration() {
         try {
@@ -0,0 +1,183 @@
+// Encryption Service - AES-GCM with WebCrypto for personal data kept on the guest's device
+class EncryptionService {
+    constructor() {
+        this.algorithm = 'AES-GCM';
+        this.keyLength = 256;
+        this.iterations = 250000; // PBKDF2 rounds for passphrase keys
+        this.keyDatabase = 'invitation_app_keys';
+        this.keyStore = 'keys';
+        this.deviceKeyId = 'device';
+
+        // Bind methods
+        this.encrypt = this.encrypt.bind(this);
+        this.decrypt = this.decrypt.bind(this);
+    }
+
+    // WebCrypto only exists on secure (https or localhost) pages
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle && window.crypto.getRandomValues);
+    }
+
+    // { iv, data } as base64 strings; the value is stored as JSON
+    async encrypt(key, value) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await window.crypto.subtle.encrypt({ name: this.algorithm, iv }, key, plaintext);
+
+        return {
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    // Rejects when the key is wrong or the data has been tampered with
+    async decrypt(key, payload) {
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: this.algorithm, iv: this.fromBase64(payload.iv) },
+            key,
+            this.fromBase64(payload.data)
+        );
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Passphrase keys
+
+    createSalt() {
+        return this.toBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    async deriveKey(passphrase, salt) {
+        const material = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: this.algorithm, length: this.keyLength },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Token keys: whoever holds the token (e.g. from an invitation link) can open what was sealed with it
+
+    async hash(text) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Kept apart from hash(token), which is published as the lookup key
+    async keyFromToken(token) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`key:${token}`));
+        return window.crypto.subtle.importKey('raw', digest, { name: this.algorithm }, false, ['encrypt', 'decrypt']);
+    }
+
+    // Per-device keys: generated once, non-extractable, kept in IndexedDB (never in localStorage)
+
+    // Resolves to null when the browser can't keep a key (no IndexedDB)
+    async getDeviceKey() {
+        if (typeof indexedDB === 'undefined') return null;
+
+        const existing = await this.loadKey(this.deviceKeyId);
+        if (existing) return existing;
+
+        const key = await window.crypto.subtle.generateKey(
+            { name: this.algorithm, length: this.keyLength },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        await this.saveKey(this.deviceKeyId, key);
+        return key;
+    }
+
+    deleteDeviceKey() {
+        return this.deleteKey(this.deviceKeyId);
+    }
+
+    // Signing keys: prove a value was written by this app after a real check (e.g. the admin password)
+
+    createSigningKey() {
+        return window.crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    }
+
+    async sign(key, text) {
+        const signature = await window.crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+        return this.toBase64(new Uint8Array(signature));
+    }
+
+    verify(key, signature, text) {
+        return window.crypto.subtle.verify('HMAC', key, this.fromBase64(signature), new TextEncoder().encode(text));
+    }
+
+    // Stored keys, by id
+
+    async loadKey(id) {
+        if (typeof indexedDB === 'undefined') return null;
+
+        const db = await this.openKeyDatabase();
+        try {
+            return (await this.request(db.transaction(this.keyStore, 'readonly').objectStore(this.keyStore).get(id))) || null;
+        } finally {
+            db.close();
+        }
+    }
+
+    async saveKey(id, key) {
+        const db = await this.openKeyDatabase();
+        try {
+            await this.request(db.transaction(this.keyStore, 'readwrite').objectStore(this.keyStore).put(key, id));
+        } finally {
+            db.close();
+        }
+    }
+
+    async deleteKey(id) {
+        if (typeof indexedDB === 'undefined') return;
+
+        const db = await this.openKeyDatabase();
+        try {
+            await this.request(db.transaction(this.keyStore, 'readwrite').objectStore(this.keyStore).delete(id));
+        } finally {
+            db.close();
+        }
+    }
+
+    openKeyDatabase() {
+        const request = indexedDB.open(this.keyDatabase, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.keyStore);
+        return this.request(request);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Create global instance
+window.EncryptionService = new EncryptionService();
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EncryptionService;
+}
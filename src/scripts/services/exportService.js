@@ -0,0 +1,351 @@
+// Export Service - Spreadsheet (CSV) and JSON exports of RSVPs, invitees and contact messages
+class ExportService {
+    constructor() {
+        this.formats = {
+            csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson;charset=utf-8' },
+            json: { extension: 'json', mimeType: 'application/json;charset=utf-8' }
+        };
+
+        // Bind methods
+        this.toCSV = this.toCSV.bind(this);
+        this.toJSONLines = this.toJSONLines.bind(this);
+        this.download = this.download.bind(this);
+    }
+
+    // type: 'rsvps' | 'attendees' | 'contacts' | 'invitees'; format: 'csv' | 'jsonl' | 'json'
+    async build(type, format = 'csv') {
+        const builders = {
+            rsvps: () => (format === 'csv' ? this.getRSVPTable() : this.getRSVPRecords()),
+            attendees: () => (format === 'csv' ? this.getAttendeeTable() : this.getAttendeeRecords()),
+            contacts: () => (format === 'csv' ? this.getContactTable() : this.getContactRecords()),
+            invitees: () => (format === 'csv' ? this.getInviteeTable() : this.getGuestListFile())
+        };
+
+        if (!builders[type] || !this.formats[format]) {
+            throw new Error(`Unknown export: ${type} as ${format}`);
+        }
+
+        const data = await builders[type]();
+        if (format === 'csv') return this.toCSV(data.columns, data.rows);
+        if (format === 'json') return JSON.stringify(data, null, 2);
+        return this.toJSONLines(Array.isArray(data) ? data : [data]);
+    }
+
+    async download(type, format = 'csv') {
+        const content = await this.build(type, format);
+        const filename = this.getFilename(type, format);
+
+        if (window.Helpers) {
+            window.Helpers.downloadFile(content, filename, this.formats[format].mimeType);
+        }
+
+        this.emit('export:downloaded', { type, format, filename });
+        return filename;
+    }
+
+    getFilename(type, format) {
+        const config = window.App ? window.App.getConfig() : null;
+        const title = config?.event?.title || 'event';
+        const slug = window.Helpers ? window.Helpers.slugify(title) : 'event';
+        const date = new Date().toISOString().slice(0, 10);
+
+        return `${slug}-${type}-${date}.${this.formats[format].extension}`;
+    }
+
+    // RFC 4180: CRLF line endings, fields quoted when needed, quotes doubled.
+    // The BOM makes Excel read the file as UTF-8.
+    toCSV(columns, rows) {
+        const lines = [
+            columns.map(column => this.escapeCSV(column.label)),
+            ...rows.map(row => columns.map(column => this.escapeCSV(row[column.key])))
+        ];
+
+        return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+
+        // Stop spreadsheets from running guest-entered text as a formula.
+        // Numbers and phone numbers ("+1 (555) 123-4567") are left as they are.
+        if (/^[=+\-@\t\r]/.test(text) && !/^[+\-]?[\d\s().-]+$/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toJSONLines(records) {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+    }
+
+    getRSVPs() {
+        return window.StorageService ? window.StorageService.getRSVPs() : [];
+    }
+
+    // Stored RSVPs without the private edit token or browser details
+    getRSVPRecords() {
+        return this.getRSVPs().map(({ editToken, userAgent, ...rsvp }) => rsvp);
+    }
+
+    getRSVPTable() {
+        const rsvps = this.getRSVPs();
+        const questions = this.getCustomQuestions(rsvps);
+
+        const columns = [
+            this.column('reference', 'id'),
+            this.column('submitted', 'timestamp'),
+            this.column('updated', 'updatedAt'),
+            this.column('status'),
+            this.column('name'),
+            this.column('email'),
+            this.column('phone'),
+            this.column('attendance'),
+            this.column('guests'),
+            this.column('meals'),
+            this.column('dietary'),
+            this.column('additionalGuests'),
+            this.column('comments'),
+            this.column('invitation'),
+            ...questions.map(question => ({ key: `question_${question.id}`, label: question.label }))
+        ];
+
+        const rows = rsvps.map(rsvp => {
+            const answers = Array.isArray(rsvp.customAnswers) ? rsvp.customAnswers : [];
+            const row = {
+                id: rsvp.id,
+                timestamp: rsvp.timestamp,
+                updatedAt: rsvp.updatedAt,
+                status: this.label(rsvp.status === 'cancelled' ? 'cancelled' : 'active', 'statuses'),
+                name: rsvp.guestName,
+                email: rsvp.guestEmail,
+                phone: rsvp.guestPhone,
+                attendance: this.label(rsvp.attendance, 'attendance'),
+                guests: rsvp.attendance === 'no' ? 0 : (parseInt(rsvp.guestCount, 10) || 1),
+                meals: this.formatMeals(rsvp),
+                dietary: rsvp.dietaryRequirements,
+                additionalGuests: this.getPartyMembers(rsvp)
+                    .map(member => (member.ageGroup ? `${member.name} (${member.ageGroup})` : member.name))
+                    .filter(Boolean),
+                comments: rsvp.comments,
+                invitation: rsvp.invitationId
+            };
+
+            answers.forEach(answer => {
+                row[`question_${answer.id}`] = typeof answer.value === 'boolean'
+                    ? this.t(answer.value ? 'common.yes' : 'common.no')
+                    : answer.value;
+            });
+
+            return row;
+        });
+
+        return { columns, rows };
+    }
+
+    // Configured questions in order, plus any answered question no longer in the config
+    getCustomQuestions(rsvps) {
+        const config = window.App ? window.App.getConfig() : null;
+        const questions = new Map();
+
+        (config?.rsvp?.customQuestions || []).forEach(question => {
+            questions.set(question.id, { id: question.id, label: question.label || question.id });
+        });
+
+        rsvps.forEach(rsvp => {
+            (Array.isArray(rsvp.customAnswers) ? rsvp.customAnswers : []).forEach(answer => {
+                if (!questions.has(answer.id)) {
+                    questions.set(answer.id, { id: answer.id, label: answer.label || answer.id });
+                }
+            });
+        });
+
+        return Array.from(questions.values());
+    }
+
+    // One row per person coming (or maybe coming), for the caterer and seating plan.
+    // Guests counted in guestCount but not named get a row too, so rows add up to the headcount.
+    getAttendeeRecords() {
+        const attendees = [];
+
+        this.getRSVPs()
+            .filter(rsvp => rsvp.status !== 'cancelled' && rsvp.attendance !== 'no')
+            .forEach(rsvp => {
+                const people = [
+                    {
+                        name: rsvp.guestName,
+                        ageGroup: '',
+                        meal: rsvp.meal,
+                        meals: rsvp.meals,
+                        dietaryRequirements: rsvp.dietaryRequirements
+                    },
+                    ...this.getPartyMembers(rsvp)
+                ];
+
+                const guestCount = Math.max(people.length, parseInt(rsvp.guestCount, 10) || 1);
+                for (let index = people.length; index < guestCount; index++) {
+                    people.push({ name: '' });
+                }
+
+                people.forEach((person, index) => {
+                    attendees.push({
+                        reference: rsvp.id,
+                        attendee: index + 1,
+                        partyLead: rsvp.guestName,
+                        name: person.name || '',
+                        ageGroup: person.ageGroup || '',
+                        attendance: rsvp.attendance,
+                        meal: person.meal || '',
+                        meals: Array.isArray(person.meals) ? person.meals : [],
+                        dietaryRequirements: person.dietaryRequirements || '',
+                        email: rsvp.guestEmail || '',
+                        phone: rsvp.guestPhone || ''
+                    });
+                });
+            });
+
+        return attendees;
+    }
+
+    getAttendeeTable() {
+        const attendees = this.getAttendeeRecords();
+        const courses = this.getCourses(attendees);
+        const hasMealChoice = attendees.some(attendee => attendee.meal);
+
+        const columns = [
+            this.column('reference'),
+            this.column('attendee'),
+            this.column('partyLead'),
+            this.column('name'),
+            this.column('ageGroup'),
+            this.column('attendance'),
+            ...(hasMealChoice ? [this.column('meal')] : []),
+            ...courses.map(course => ({ key: `course_${course.id}`, label: course.name })),
+            this.column('dietary', 'dietaryRequirements'),
+            this.column('email'),
+            this.column('phone')
+        ];
+
+        const rows = attendees.map(attendee => {
+            const row = { ...attendee, attendance: this.label(attendee.attendance, 'attendance') };
+            attendee.meals.forEach(meal => {
+                row[`course_${meal.courseId}`] = meal.option;
+            });
+            return row;
+        });
+
+        return { columns, rows };
+    }
+
+    // Menu courses from the config, plus any course found in the answers
+    getCourses(attendees) {
+        const config = window.App ? window.App.getConfig() : null;
+        const courses = new Map();
+
+        if (config?.menu?.enabled) {
+            (config.menu.courses || []).forEach(course => courses.set(course.id, { id: course.id, name: course.name }));
+        }
+
+        attendees.forEach(attendee => {
+            attendee.meals.forEach(meal => {
+                if (!courses.has(meal.courseId)) {
+                    courses.set(meal.courseId, { id: meal.courseId, name: meal.course || meal.courseId });
+                }
+            });
+        });
+
+        return Array.from(courses.values());
+    }
+
+    getContactRecords() {
+        return window.StorageService ? window.StorageService.getContactMessages() : [];
+    }
+
+    getContactTable() {
+        const columns = [
+            this.column('submitted', 'timestamp'),
+            this.column('name', 'contactName'),
+            this.column('email', 'contactEmail'),
+            this.column('subject', 'contactSubject'),
+            this.column('message', 'contactMessage')
+        ];
+
+        return { columns, rows: this.getContactRecords() };
+    }
+
+    getInvitees() {
+        return window.GuestService ? window.GuestService.getGuestListSummary().invitees : [];
+    }
+
+    // The imported guest list with tracking and each invitee's personal link, for mail merges
+    getInviteeTable() {
+        const columns = [
+            this.column('name'),
+            this.column('email'),
+            this.column('household'),
+            this.column('group'),
+            this.column('seats'),
+            this.column('invitationStatus', 'status'),
+            this.column('attendance'),
+            this.column('guests', 'attending'),
+            this.column('link'),
+            this.column('token')
+        ];
+
+        const rows = this.getInvitees().map(invitee => ({
+            ...invitee,
+            status: this.t(`admin.guests.status.${invitee.status}`),
+            attendance: this.label(invitee.attendance, 'attendance'),
+            link: window.GuestService.getInvitationLink(invitee)
+        }));
+
+        return { columns, rows };
+    }
+
+    // Sealed per invitation, so it can be published as data/guests.json
+    getGuestListFile() {
+        return window.GuestService.createGuestListFile(this.getInvitees());
+    }
+
+    getPartyMembers(rsvp) {
+        return Array.isArray(rsvp.partyMembers) ? rsvp.partyMembers : [];
+    }
+
+    formatMeals(rsvp) {
+        if (Array.isArray(rsvp.meals) && rsvp.meals.length) {
+            return rsvp.meals.map(meal => `${meal.course}: ${meal.option}`).join('; ');
+        }
+        return rsvp.meal || '';
+    }
+
+    // Column headers are written in the organizer's language (i18n.emailLanguage)
+    column(name, key = name) {
+        return { key, label: this.t(`admin.export.columns.${name}`) };
+    }
+
+    label(value, group) {
+        return value ? this.t(`admin.export.${group}.${value}`) : '';
+    }
+
+    t(key, params) {
+        if (!window.I18nService) return key;
+        return window.I18nService.t(key, params, window.I18nService.getEmailLanguage());
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.ExportService = new ExportService();
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportService;
+}
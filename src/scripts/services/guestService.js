@@ -0,0 +1,679 @@
+// Guest Service - Resolves personalised invitation links and tracks the imported invitee list
+class GuestService {
+    constructor() {
+        this.config = null;
+        this.guests = null;
+        this.invitation = null;
+        this.sessionKey = 'invitation';
+        this.isTracking = false;
+
+        // Spreadsheet headings accepted for each invitee field (compared in lower case)
+        this.csvColumns = {
+            id: ['id'],
+            token: ['token', 'invitation token', 'code'],
+            name: ['name', 'guest', 'guest name', 'full name'],
+            displayName: ['display name', 'greeting'],
+            email: ['email', 'e-mail', 'email address'],
+            household: ['household', 'family', 'party'],
+            seats: ['seats', 'allowed seats', 'max guests', 'maxguests', 'guests'],
+            group: ['group', 'side', 'group/side']
+        };
+
+        // Replies as the form service sends them (field names), or the RSVP export's headings.
+        // The export's headings are added in every loaded language by getResponseColumns().
+        this.responseFields = {
+            id: ['id'],
+            timestamp: ['timestamp'],
+            updatedAt: ['updatedat'],
+            status: ['status'],
+            guestName: ['guestname'],
+            guestEmail: ['guestemail'],
+            attendance: ['attendance'],
+            guestCount: ['guestcount'],
+            invitationId: ['invitationid'],
+            invitationOpenedAt: ['invitationopenedat'],
+            openedAt: ['openedat'],
+            formType: ['formtype'],
+            rsvpAction: ['rsvpaction']
+        };
+        this.exportHeadings = {
+            id: 'reference',
+            timestamp: 'submitted',
+            updatedAt: 'updated',
+            status: 'status',
+            guestName: 'name',
+            guestEmail: 'email',
+            attendance: 'attendance',
+            guestCount: 'guests',
+            invitationId: 'invitation'
+        };
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.loadGuestList = this.loadGuestList.bind(this);
+        this.resolveToken = this.resolveToken.bind(this);
+        this.getInvitation = this.getInvitation.bind(this);
+        this.importGuestList = this.importGuestList.bind(this);
+        this.importResponses = this.importResponses.bind(this);
+        this.recordResponse = this.recordResponse.bind(this);
+    }
+
+    async init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.config = appConfig?.invitations || { enabled: false };
+
+        this.setupResponseTracking();
+
+        if (!this.config.enabled) {
+            return null;
+        }
+
+        try {
+            const token = this.getTokenFromURL();
+
+            if (token) {
+                this.invitation = await this.resolveToken(token);
+
+                if (!this.invitation) {
+                    console.warn('⚠️ No invitation found for token:', token);
+                }
+            } else {
+                // Keep the guest recognised while they browse without the token
+                this.invitation = this.restoreInvitation();
+            }
+
+            if (this.invitation) {
+                if (token) this.noteOpened(this.invitation);
+                this.saveInvitation(this.invitation);
+                console.log('💌 Invitation resolved:', this.invitation.id);
+                this.emit('invitation:resolved', { invitation: this.invitation });
+            }
+        } catch (error) {
+            console.error('❌ Failed to resolve invitation:', error);
+        }
+
+        return this.invitation;
+    }
+
+    getTokenFromURL() {
+        const param = this.config?.tokenParam || 'g';
+
+        // Support both ?g=token and #section?g=token
+        const searchParams = new URLSearchParams(window.location.search);
+        if (searchParams.get(param)) {
+            return searchParams.get(param);
+        }
+
+        const hash = window.location.hash;
+        const queryIndex = hash.indexOf('?');
+        if (queryIndex > -1) {
+            const hashParams = new URLSearchParams(hash.slice(queryIndex + 1));
+            return hashParams.get(param);
+        }
+
+        return null;
+    }
+
+    async loadGuestList() {
+        if (this.guests) {
+            return this.guests;
+        }
+
+        const url = this.config?.guestListUrl;
+        if (!url) {
+            throw new Error('Guest list URL not configured');
+        }
+
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load guest list: ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.guests = Array.isArray(data) ? data : (data.guests || {});
+
+        if (Array.isArray(this.guests)) {
+            console.warn('⚠️ The guest list publishes every name and email; download guests.json from the dashboard again to seal it');
+        }
+
+        return this.guests;
+    }
+
+    // The imported invitee list is checked first, then invitations.guestListUrl
+    async resolveToken(token) {
+        if (!token) return null;
+
+        const invitee = this.findInvitee({ token });
+        if (invitee) {
+            return this.normalizeInvitation(invitee);
+        }
+
+        if (!this.config?.guestListUrl) return null;
+
+        const guests = await this.loadGuestList();
+        if (!Array.isArray(guests)) {
+            return this.openSealedInvitation(guests, token);
+        }
+
+        // Older lists with readable tokens
+        const guest = guests.find(entry => entry.token === token);
+        return guest ? this.normalizeInvitation(guest) : null;
+    }
+
+    async openSealedInvitation(guests, token) {
+        const encryption = window.EncryptionService;
+        if (!encryption || !encryption.isSupported()) {
+            console.warn('⚠️ Invitation links need WebCrypto (https or localhost)');
+            return null;
+        }
+
+        const entry = guests[await encryption.hash(token)];
+        if (!entry) return null;
+
+        const guest = await encryption.decrypt(await encryption.keyFromToken(token), entry);
+        return this.normalizeInvitation({ ...guest, token });
+    }
+
+    // The file published as invitations.guestListUrl. Each entry is found by the hash of its token
+    // and encrypted with the token, so only someone holding a link can read that one invitation.
+    // Emails are left out: the site never needs them.
+    async createGuestListFile(invitees = this.getInvitees()) {
+        const encryption = window.EncryptionService;
+        if (!encryption || !encryption.isSupported()) {
+            throw new Error('Sealing the guest list needs WebCrypto (https or localhost)');
+        }
+
+        const guests = {};
+        for (const invitee of invitees) {
+            const key = await encryption.keyFromToken(invitee.token);
+            guests[await encryption.hash(invitee.token)] = await encryption.encrypt(key, {
+                id: invitee.id,
+                name: invitee.name,
+                displayName: invitee.displayName || invitee.name,
+                maxGuests: invitee.seats
+            });
+        }
+
+        return { guests };
+    }
+
+    normalizeInvitation(guest) {
+        const maxGuests = parseInt(guest.maxGuests || guest.seats, 10);
+
+        return {
+            id: guest.id || guest.token,
+            token: guest.token,
+            name: guest.name || '',
+            displayName: guest.displayName || guest.name || '',
+            email: guest.email || '',
+            maxGuests: maxGuests > 0 ? maxGuests : null
+        };
+    }
+
+    saveInvitation(invitation) {
+        if (window.StorageService) {
+            window.StorageService.setSessionItem(this.sessionKey, invitation);
+        }
+    }
+
+    restoreInvitation() {
+        if (!window.StorageService) return null;
+        return window.StorageService.getSessionItem(this.sessionKey, null);
+    }
+
+    // Guest list import
+
+    // Rows of a CSV guest list as invitees; the first row holds the headings
+    parseGuestCSV(text) {
+        const rows = this.parseCSV(text);
+        if (!rows.length) return [];
+
+        const columns = this.mapColumns(rows[0], this.csvColumns);
+
+        if (columns.name === undefined) {
+            throw new Error('The guest list needs a "name" column');
+        }
+
+        return rows.slice(1)
+            .map(row => {
+                const value = field => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+                const seats = parseInt(value('seats'), 10);
+
+                return {
+                    id: value('id'),
+                    token: value('token'),
+                    name: value('name'),
+                    displayName: value('displayName'),
+                    email: value('email').toLowerCase(),
+                    household: value('household'),
+                    seats: seats > 0 ? seats : 1,
+                    group: value('group')
+                };
+            })
+            .filter(invitee => invitee.name);
+    }
+
+    // Column index of each field, from the heading row
+    mapColumns(headingRow, fields) {
+        const headings = headingRow.map(heading => heading.trim().toLowerCase());
+        const columns = {};
+
+        Object.entries(fields).forEach(([field, names]) => {
+            const index = headings.findIndex(heading => names.includes(heading));
+            if (index > -1) columns[field] = index;
+        });
+
+        return columns;
+    }
+
+    // RFC 4180 fields: quoted values may hold commas, doubled quotes and line breaks.
+    // Semicolon-separated files (Excel in many European locales) are detected from the heading row.
+    parseCSV(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+
+            if (quoted) {
+                if (char === '"' && source[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[index + 1] === '\n') index++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    // Adds or updates invitees from a CSV guest list. Invitees already on the list
+    // (same id, token or email) keep their token and tracking; with replace: true
+    // anyone missing from the new file is removed.
+    importGuestList(text, options = {}) {
+        if (!window.StorageService) {
+            throw new Error('Storage is not available');
+        }
+
+        const rows = this.parseGuestCSV(text);
+        const existing = window.StorageService.getInvitees();
+        const now = new Date().toISOString();
+        const result = { added: 0, updated: 0, removed: 0 };
+        const kept = new Set();
+
+        rows.forEach(row => {
+            const match = existing.find(invitee => (
+                (row.id && invitee.id === row.id)
+                || (row.token && invitee.token === row.token)
+                || (row.email && invitee.email === row.email)
+            ));
+
+            const invitee = {
+                invitedAt: now,
+                openedAt: null,
+                respondedAt: null,
+                rsvpId: null,
+                attendance: null,
+                attending: 0,
+                ...match,
+                ...row,
+                id: match?.id || row.id || this.createInviteeId(row, existing),
+                token: row.token || match?.token || this.createToken()
+            };
+
+            window.StorageService.saveInvitee(invitee);
+            kept.add(invitee.id);
+            if (!match) existing.push(invitee);
+            result[match ? 'updated' : 'added']++;
+        });
+
+        if (options.replace) {
+            existing
+                .filter(invitee => !kept.has(invitee.id))
+                .forEach(invitee => {
+                    window.StorageService.removeItem(`invitee_${invitee.id}`);
+                    result.removed++;
+                });
+        }
+
+        // Replies already saved in this browser count straight away
+        window.StorageService.getRSVPs().forEach(rsvp => this.recordResponse(rsvp, { silent: true }));
+
+        console.log(`💌 Guest list imported: ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+        this.emit('guests:imported', result);
+        return result;
+    }
+
+    createInviteeId(row, existing) {
+        const base = (window.Helpers ? window.Helpers.slugify(row.name) : '') || 'guest';
+        let id = base;
+        let suffix = 2;
+
+        while (existing.some(invitee => invitee.id === id)) {
+            id = `${base}-${suffix++}`;
+        }
+
+        return id;
+    }
+
+    createToken() {
+        return window.Helpers ? window.Helpers.randomToken(12) : Math.random().toString(36).slice(2, 14);
+    }
+
+    getInvitees() {
+        return window.StorageService ? window.StorageService.getInvitees() : [];
+    }
+
+    // Invitation id (carried on RSVPs), then token, then email
+    findInvitee({ id, token, email } = {}) {
+        const invitees = this.getInvitees();
+        const address = email ? String(email).trim().toLowerCase() : '';
+
+        return (id && invitees.find(invitee => invitee.id === id))
+            || (token && invitees.find(invitee => invitee.token === token))
+            || (address && invitees.find(invitee => invitee.email === address))
+            || null;
+    }
+
+    // Link to send each invitee: the site address with their token
+    getInvitationLink(invitee) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.search = '';
+        url.searchParams.set(this.config?.tokenParam || 'g', invitee.token);
+        return url.toString();
+    }
+
+    // Tracking: invited (imported) → opened (link visited) → responded. The guest list only
+    // exists in the organizer's browser, so opens and replies on guests' devices arrive through
+    // importResponses(): RSVPs carry the invitation id and when the link was first opened, and
+    // with invitations.reportOpens each device also sends a short "opened" notice.
+
+    // A guest arriving from their link. Remembered on this device so replies can say when the
+    // invitation was first opened
+    noteOpened(invitation) {
+        const key = `invitation_opened_${invitation.id}`;
+        const opened = (window.StorageService && window.StorageService.getItem(key))
+            || { openedAt: new Date().toISOString(), reportedAt: null };
+
+        invitation.openedAt = opened.openedAt;
+        if (window.StorageService) {
+            window.StorageService.setItem(key, opened);
+        }
+
+        // The organizer's own browser has the guest list and needs no report
+        if (this.markOpened(invitation, opened.openedAt)) return;
+
+        if (this.config.reportOpens && !opened.reportedAt) {
+            this.reportOpened(invitation, key, opened).catch(error => {
+                console.warn('⚠️ Could not report the opened invitation, will retry on the next visit:', error);
+            });
+        }
+    }
+
+    async reportOpened(invitation, key, opened) {
+        if (!window.EmailService) return;
+
+        await window.EmailService.sendEmail({
+            formType: 'invitation',
+            invitationId: invitation.id,
+            guestName: invitation.name,
+            openedAt: opened.openedAt
+        });
+
+        if (window.StorageService) {
+            window.StorageService.setItem(key, { ...opened, reportedAt: new Date().toISOString() });
+        }
+    }
+
+    // Keeps the earliest time an invitee's link was opened
+    markOpened(invitation, openedAt = new Date().toISOString(), options = {}) {
+        if (!invitation || !window.StorageService) return null;
+
+        const invitee = this.findInvitee({ id: invitation.id, token: invitation.token });
+        if (!invitee) return null;
+        if (invitee.openedAt && new Date(invitee.openedAt) <= new Date(openedAt)) return invitee;
+
+        const updated = { ...invitee, openedAt };
+        window.StorageService.saveInvitee(updated);
+        if (!options.silent) {
+            this.emit('invitation:opened', { id: updated.id });
+        }
+
+        return updated;
+    }
+
+    recordResponse(rsvp, options = {}) {
+        if (!rsvp || !window.StorageService) return null;
+
+        const invitee = this.findInvitee({ id: rsvp.invitationId, email: rsvp.guestEmail });
+        if (!invitee) return null;
+
+        // An older reply saved on this device never overwrites a newer one
+        const answeredAt = rsvp.updatedAt || rsvp.timestamp || new Date().toISOString();
+        if (invitee.respondedAt && invitee.rsvpId !== rsvp.id && new Date(invitee.respondedAt) > new Date(answeredAt)) {
+            return invitee;
+        }
+
+        const declined = rsvp.attendance === 'no' || rsvp.status === 'cancelled';
+        const updated = {
+            ...invitee,
+            // A reply means the invitation was opened, even when no notice arrived
+            openedAt: invitee.openedAt || rsvp.invitationOpenedAt || answeredAt,
+            respondedAt: answeredAt,
+            rsvpId: rsvp.id || null,
+            attendance: rsvp.status === 'cancelled' ? 'no' : (rsvp.attendance || 'maybe'),
+            attending: declined ? 0 : Math.max(1, parseInt(rsvp.guestCount, 10) || 1)
+        };
+
+        window.StorageService.saveInvitee(updated);
+        if (!options.silent) {
+            this.emit('invitation:responded', { id: updated.id, attendance: updated.attendance, attending: updated.attending });
+        }
+
+        return updated;
+    }
+
+    getInviteeStatus(invitee) {
+        if (invitee.respondedAt) return 'responded';
+        return invitee.openedAt ? 'opened' : 'invited';
+    }
+
+    // Invitees with their tracking state, and the counts shown in the dashboard
+    getGuestListSummary() {
+        const invitees = this.getInvitees().map(invitee => ({ ...invitee, status: this.getInviteeStatus(invitee) }));
+        const count = status => invitees.filter(invitee => invitee.status === status).length;
+
+        return {
+            invitees,
+            invited: invitees.length,
+            seats: invitees.reduce((total, invitee) => total + (invitee.seats || 1), 0),
+            opened: count('opened'),
+            responded: count('responded'),
+            pending: invitees.length - count('responded'),
+            attending: invitees.reduce((total, invitee) => total + (invitee.attending || 0), 0)
+        };
+    }
+
+    // Replies import
+
+    // Replies received elsewhere: the RSVP export (JSON Lines or CSV) from another browser, or
+    // the submissions CSV of the form service. They update the invitees (matched by invitation,
+    // then email) but are not added to this browser's own RSVPs.
+    importResponses(text) {
+        if (!window.StorageService) {
+            throw new Error('Storage is not available');
+        }
+
+        const records = this.parseResponses(text);
+        const result = { replies: 0, opened: 0, unmatched: 0 };
+
+        records.forEach(record => {
+            let invitee = null;
+
+            if (record.formType === 'invitation') {
+                invitee = this.markOpened({ id: record.invitationId }, record.openedAt || record.timestamp, { silent: true });
+                if (invitee) result.opened++;
+            } else if (record.attendance || record.status === 'cancelled') {
+                invitee = this.recordResponse(record, { silent: true });
+                if (invitee) result.replies++;
+            } else {
+                // Contact and guestbook submissions from the same form service
+                return;
+            }
+
+            if (!invitee) result.unmatched++;
+        });
+
+        console.log(`💌 Replies imported: ${result.replies} replies, ${result.opened} opened, ${result.unmatched} not on the guest list`);
+        this.emit('guests:responsesImported', result);
+        return result;
+    }
+
+    parseResponses(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!source) return [];
+
+        if (source.startsWith('[')) {
+            return JSON.parse(source).map(record => this.normalizeResponse(record));
+        }
+        if (source.startsWith('{')) {
+            return source.split(/\r?\n/)
+                .filter(line => line.trim())
+                .map(line => this.normalizeResponse(JSON.parse(line)));
+        }
+
+        return this.parseResponseCSV(source);
+    }
+
+    parseResponseCSV(text) {
+        const rows = this.parseCSV(text);
+        if (!rows.length) return [];
+
+        const columns = this.mapColumns(rows[0], this.getResponseColumns());
+        if (columns.attendance === undefined && columns.formType === undefined) {
+            throw new Error('The file needs an "attendance" column');
+        }
+
+        return rows.slice(1).map(row => {
+            const record = {};
+            Object.entries(columns).forEach(([field, index]) => {
+                const value = (row[index] || '').trim();
+                if (value) record[field] = value;
+            });
+
+            // The RSVP export writes labels in the organizer's language
+            record.attendance = this.fromLabel(record.attendance, ['yes', 'no', 'maybe'], 'admin.export.attendance');
+            record.status = this.fromLabel(record.status, ['active', 'cancelled'], 'admin.export.statuses');
+
+            return this.normalizeResponse(record);
+        });
+    }
+
+    getResponseColumns() {
+        const columns = {};
+
+        Object.entries(this.responseFields).forEach(([field, names]) => {
+            const heading = this.exportHeadings[field];
+            columns[field] = heading
+                ? [...names, ...this.getTranslations(`admin.export.columns.${heading}`)]
+                : names;
+        });
+
+        return columns;
+    }
+
+    // Lower-cased wording of a key in every loaded language
+    getTranslations(key) {
+        if (!window.I18nService) return [];
+
+        return Object.keys(window.I18nService.dictionaries)
+            .map(language => window.I18nService.t(key, {}, language).toLowerCase());
+    }
+
+    fromLabel(value, values, prefix) {
+        if (!value) return value;
+
+        const text = value.toLowerCase();
+        return values.find(option => option === text || this.getTranslations(`${prefix}.${option}`).includes(text)) || value;
+    }
+
+    normalizeResponse(record) {
+        const cancelled = record.status === 'cancelled' || record.rsvpAction === 'cancelled';
+
+        return { ...record, status: cancelled ? 'cancelled' : record.status };
+    }
+
+    setupResponseTracking() {
+        if (!window.EventBus || this.isTracking) return;
+        this.isTracking = true;
+
+        const recordSubmission = (data) => {
+            if (data?.formType === 'rsvp') {
+                this.recordResponse(data.data);
+            }
+        };
+
+        window.EventBus.on('form:success', recordSubmission);
+        window.EventBus.on('form:queued', recordSubmission);
+        window.EventBus.on('rsvp:cancelled', (data) => this.recordResponse(data?.data));
+    }
+
+    // Public API
+    getInvitation() {
+        return this.invitation;
+    }
+
+    hasInvitation() {
+        return !!this.invitation;
+    }
+
+    clearInvitation() {
+        this.invitation = null;
+
+        if (window.StorageService) {
+            window.StorageService.removeSessionItem(this.sessionKey);
+        }
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.GuestService = new GuestService();
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GuestService;
+}
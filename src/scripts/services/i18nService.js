@@ -0,0 +1,242 @@
+// I18n Service - Translation dictionaries, the active language and page translation
+class I18nService {
+    constructor() {
+        this.config = null;
+        this.dictionaries = {};
+        this.defaultLanguage = 'en';
+        this.language = 'en';
+
+        // Written right to left unless a dictionary says otherwise (meta.direction)
+        this.rtlLanguages = ['ar', 'he', 'fa', 'ur', 'yi', 'ps', 'sd', 'ug', 'dv', 'ckb'];
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.t = this.t.bind(this);
+        this.setLanguage = this.setLanguage.bind(this);
+        this.translatePage = this.translatePage.bind(this);
+    }
+
+    init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.defaultLanguage = appConfig?.app?.language || 'en';
+        this.config = {
+            languages: [this.defaultLanguage],
+            detectBrowserLanguage: false,
+            emailLanguage: '',
+            translations: {},
+            ...(appConfig?.i18n || {})
+        };
+
+        // Wording changes from the config win over the built-in dictionaries
+        Object.entries(this.config.translations || {}).forEach(([language, dictionary]) => {
+            this.addDictionary(language, dictionary);
+        });
+
+        this.applyLanguage(this.getInitialLanguage());
+        console.log(`🌐 Language: ${this.language}`);
+    }
+
+    // Saved choice, then the browser's language (if enabled), then app.language
+    getInitialLanguage() {
+        const preferences = window.StorageService ? window.StorageService.getItem('user_preferences', {}) : {};
+        if (this.isSupported(preferences.language)) {
+            return preferences.language;
+        }
+
+        if (this.config.detectBrowserLanguage) {
+            const browserLanguages = navigator.languages || [navigator.language];
+            const match = browserLanguages
+                .map(language => this.resolveLanguage(language))
+                .find(Boolean);
+            if (match) return match;
+        }
+
+        return this.defaultLanguage;
+    }
+
+    // 'es-MX' falls back to 'es' when only the base language is offered
+    resolveLanguage(language) {
+        if (!language) return null;
+        if (this.isSupported(language)) return language;
+
+        const base = String(language).split('-')[0];
+        return this.isSupported(base) ? base : null;
+    }
+
+    isSupported(language) {
+        return !!language && this.getLanguageCodes().includes(language) && !!this.dictionaries[language];
+    }
+
+    getLanguageCodes() {
+        const languages = this.config ? this.config.languages : [this.defaultLanguage];
+        return languages.includes(this.defaultLanguage) ? languages : [this.defaultLanguage, ...languages];
+    }
+
+    // Languages offered in the switcher, with their own names
+    getLanguages() {
+        return this.getLanguageCodes()
+            .filter(code => this.dictionaries[code])
+            .map(code => ({
+                code,
+                name: this.dictionaries[code].meta?.name || code
+            }));
+    }
+
+    getLanguage() {
+        return this.language;
+    }
+
+    getLocale(language = this.language) {
+        return this.dictionaries[language]?.meta?.locale || language;
+    }
+
+    getDirection(language = this.language) {
+        const direction = this.dictionaries[language]?.meta?.direction;
+        if (direction === 'rtl' || direction === 'ltr') return direction;
+
+        return this.rtlLanguages.includes(String(language).split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    isRTL(language = this.language) {
+        return this.getDirection(language) === 'rtl';
+    }
+
+    // Dictionaries are nested objects; later additions for the same language are merged in
+    addDictionary(language, dictionary) {
+        this.dictionaries[language] = this.mergeDeep(this.dictionaries[language] || {}, dictionary || {});
+    }
+
+    mergeDeep(target, source) {
+        const result = { ...target };
+
+        Object.entries(source).forEach(([key, value]) => {
+            // Config overrides may use dotted keys: { 'hero.rsvpNow': '...' }
+            if (key.includes('.')) {
+                const [first, ...rest] = key.split('.');
+                result[first] = this.mergeDeep(result[first] || {}, { [rest.join('.')]: value });
+            } else if (value && typeof value === 'object' && !Array.isArray(value) && !this.isPlural(value)) {
+                result[key] = this.mergeDeep(result[key] || {}, value);
+            } else {
+                result[key] = value;
+            }
+        });
+
+        return result;
+    }
+
+    isPlural(value) {
+        return typeof value.other === 'string';
+    }
+
+    lookup(key, language) {
+        return key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.dictionaries[language]);
+    }
+
+    has(key) {
+        return typeof this.lookup(key, this.language) !== 'undefined'
+            || typeof this.lookup(key, this.defaultLanguage) !== 'undefined';
+    }
+
+    // t('rsvp.errors.guestCountRange', { max: 4 }); plural entries pick a form from params.count
+    t(key, params = {}, language = this.language) {
+        let value = this.lookup(key, language);
+
+        if (value === undefined && language !== this.defaultLanguage) {
+            value = this.lookup(key, this.defaultLanguage);
+        }
+        if (value === undefined && this.defaultLanguage !== 'en') {
+            value = this.lookup(key, 'en');
+        }
+
+        if (value && typeof value === 'object' && this.isPlural(value)) {
+            const form = this.getPluralForm(params.count, language);
+            value = value[form] !== undefined ? value[form] : value.other;
+        }
+
+        if (typeof value !== 'string') {
+            console.warn(`⚠️ Missing translation: ${key}`);
+            return key;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? params[name] : match
+        ));
+    }
+
+    getPluralForm(count, language) {
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+            return new Intl.PluralRules(this.getLocale(language)).select(Number(count) || 0);
+        }
+        return Number(count) === 1 ? 'one' : 'other';
+    }
+
+    setLanguage(language) {
+        const resolved = this.resolveLanguage(language);
+        if (!resolved) {
+            console.warn(`⚠️ Unsupported language: ${language}`);
+            return false;
+        }
+
+        if (resolved === this.language) return true;
+
+        const previous = this.language;
+        this.applyLanguage(resolved);
+
+        if (window.StorageService) {
+            const preferences = window.StorageService.getItem('user_preferences', {});
+            window.StorageService.saveUserPreferences({ ...preferences, language: resolved });
+        }
+
+        this.emit('language:changed', {
+            language: resolved,
+            previous,
+            direction: this.getDirection(resolved)
+        });
+        return true;
+    }
+
+    applyLanguage(language) {
+        this.language = language;
+        document.documentElement.lang = language;
+
+        // Stylesheets flip the layout with [dir="rtl"] selectors
+        document.documentElement.dir = this.getDirection(language);
+        this.translatePage();
+    }
+
+    // <p data-i18n="key"> sets the text; data-i18n-attr="placeholder:key; aria-label:key" sets attributes
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    // Emails to the organizer use their language rather than the guest's
+    getEmailLanguage() {
+        const language = this.config?.emailLanguage || this.defaultLanguage;
+        return this.dictionaries[language] ? language : this.language;
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.I18nService = new I18nService();
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18nService;
+}
@@ -0,0 +1,111 @@
+// Motion Service - One policy for animations, from customization.animations and the OS setting
+class MotionService {
+    constructor() {
+        this.config = null;
+        this.mediaQuery = null;
+        this.durationScales = {
+            fast: 0.5,
+            normal: 1,
+            slow: 1.5
+        };
+
+        // Base values of the --transition-* variables in theme.css (seconds)
+        this.transitions = {
+            fast: 0.15,
+            normal: 0.3,
+            slow: 0.6
+        };
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.handleMediaChange = this.handleMediaChange.bind(this);
+    }
+
+    init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.config = {
+            enabled: true,
+            duration: 'normal',
+            reducedMotion: false,
+            ...(appConfig?.customization?.animations || {})
+        };
+
+        if (!this.mediaQuery && window.matchMedia) {
+            this.mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            if (this.mediaQuery.addEventListener) {
+                this.mediaQuery.addEventListener('change', this.handleMediaChange);
+            } else if (this.mediaQuery.addListener) {
+                this.mediaQuery.addListener(this.handleMediaChange);
+            }
+        }
+
+        this.applyToDocument();
+        console.log(`🎞️ Motion: ${this.isReduced() ? 'reduced' : this.config.duration}`);
+    }
+
+    getConfig() {
+        if (!this.config) {
+            this.init();
+        }
+        return this.config;
+    }
+
+    // Turned off in the config, forced with reducedMotion: true, or asked for by the OS
+    isReduced() {
+        const config = this.getConfig();
+        return config.enabled === false
+            || config.reducedMotion === true
+            || !!(this.mediaQuery && this.mediaQuery.matches);
+    }
+
+    shouldAnimate() {
+        return !this.isReduced();
+    }
+
+    // duration: 'fast' | 'normal' | 'slow', or a multiplier such as 0.75
+    getScale() {
+        const duration = this.getConfig().duration;
+        if (typeof duration === 'number' && duration > 0) return duration;
+        return this.durationScales[duration] || 1;
+    }
+
+    // Milliseconds to use for an animation designed at `ms`; 0 means "jump to the end"
+    getDuration(ms) {
+        return this.isReduced() ? 0 : Math.round(ms * this.getScale());
+    }
+
+    getScrollBehavior() {
+        return this.isReduced() ? 'auto' : 'smooth';
+    }
+
+    // [data-motion="reduced"] switches off CSS animations; the --transition-* variables follow the speed
+    applyToDocument() {
+        const root = document.documentElement;
+        const scale = this.getScale();
+
+        root.setAttribute('data-motion', this.isReduced() ? 'reduced' : 'full');
+
+        Object.entries(this.transitions).forEach(([name, seconds]) => {
+            root.style.setProperty(`--transition-${name}`, `${+(seconds * scale).toFixed(3)}s ease`);
+        });
+    }
+
+    handleMediaChange() {
+        this.applyToDocument();
+        this.emit('motion:changed', { reduced: this.isReduced() });
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.MotionService = new MotionService();
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotionService;
+}
@@ -0,0 +1,200 @@
+// Outbox Service - Keeps failed submissions and sends them once the connection is back
+class OutboxService {
+    constructor() {
+        this.config = null;
+        this.isFlushing = false;
+        this.retryTimer = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.enqueue = this.enqueue.bind(this);
+        this.flush = this.flush.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+    }
+
+    init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.config = {
+            enabled: true,
+            retryAttempts: 2,
+            retryDelay: 30 * 1000,
+            maxRetryDelay: 60 * 60 * 1000,
+            ...(appConfig?.email?.outbox || {})
+        };
+
+        if (!this.config.enabled) {
+            return;
+        }
+
+        window.addEventListener('online', this.handleOnline);
+
+        const pending = this.getItems().length;
+        console.log('📮 Outbox Service initialized, pending:', pending);
+
+        // Anything left over from an earlier visit is sent now
+        if (pending) {
+            this.flush();
+        }
+    }
+
+    isEnabled() {
+        return !!(this.config ? this.config.enabled : true) && !!window.StorageService?.isAvailable;
+    }
+
+    // Only connection problems are worth retrying; bad data or configuration is not
+    shouldQueue(error) {
+        if (!this.isEnabled()) return false;
+        if (navigator.onLine === false) return true;
+        if (error && error.name === 'TypeError') return true; // fetch() network failure
+
+        const message = error && error.message ? error.message : '';
+        return /\b(408|429|5\d\d)\b/.test(message);
+    }
+
+    // Queued submissions only survive a closed tab when storage can keep them (not before unlocking)
+    isKept() {
+        return !!window.StorageService && window.StorageService.isKept('outbox');
+    }
+
+    getItems() {
+        return window.StorageService ? window.StorageService.getOutbox() : [];
+    }
+
+    getItem(key) {
+        return this.getItems().find(item => item.key === key) || null;
+    }
+
+    hasPending(key) {
+        return !!this.getItem(key);
+    }
+
+    enqueue(data, options = {}) {
+        if (!this.isEnabled()) return null;
+
+        const now = Date.now();
+        const item = {
+            id: `${now}_${Math.random().toString(36).slice(2, 8)}`,
+            key: options.key || `${data.formType || 'message'}_${now}`,
+            formType: data.formType || 'unknown',
+            data,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now + this.getRetryDelay(0),
+            lastError: options.error ? options.error.message : null
+        };
+
+        // A newer submission for the same key replaces the waiting one
+        const items = this.getItems().filter(existing => existing.key !== item.key);
+        items.push(item);
+        window.StorageService.saveOutbox(items);
+
+        console.log('📮 Submission queued for later:', item.key);
+        this.emit('outbox:queued', { item, pending: items.length });
+        this.scheduleRetry();
+
+        return item;
+    }
+
+    remove(key) {
+        const items = this.getItems();
+        const remaining = items.filter(item => item.key !== key);
+
+        if (remaining.length !== items.length) {
+            window.StorageService.saveOutbox(remaining);
+        }
+    }
+
+    handleOnline() {
+        console.log('📮 Back online, sending queued submissions');
+        this.flush({ force: true });
+    }
+
+    async flush(options = {}) {
+        if (this.isFlushing || !window.EmailService) return;
+        if (navigator.onLine === false) return;
+
+        this.isFlushing = true;
+        clearTimeout(this.retryTimer);
+
+        try {
+            const now = Date.now();
+            const due = this.getItems().filter(item => options.force || item.nextAttemptAt <= now);
+
+            for (const item of due) {
+                try {
+                    await window.EmailService.retryEmail(item.data, this.config?.retryAttempts || 2);
+
+                    this.remove(item.key);
+                    console.log('📮 Queued submission sent:', item.key);
+                    this.emit('outbox:sent', { item, pending: this.getItems().length });
+                } catch (error) {
+                    this.markFailed(item, error);
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+            this.scheduleRetry();
+        }
+    }
+
+    markFailed(item, error) {
+        const items = this.getItems();
+        const stored = items.find(existing => existing.id === item.id);
+
+        // The guest may have replaced it while it was being sent
+        if (!stored) return;
+
+        stored.attempts += 1;
+        stored.nextAttemptAt = Date.now() + this.getRetryDelay(stored.attempts);
+        stored.lastError = error.message;
+        window.StorageService.saveOutbox(items);
+
+        console.warn(`📮 Queued submission failed (attempt ${stored.attempts}):`, error.message);
+        this.emit('outbox:error', { item: stored, error: error.message });
+    }
+
+    // Exponential backoff between retry rounds
+    getRetryDelay(attempts) {
+        const baseDelay = this.config?.retryDelay || 30 * 1000;
+        const maxDelay = this.config?.maxRetryDelay || 60 * 60 * 1000;
+        return Math.min(baseDelay * Math.pow(2, attempts), maxDelay);
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+
+        const items = this.getItems();
+        if (!items.length) return;
+
+        const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+        const delay = Math.max(nextAttemptAt - Date.now(), 1000);
+
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.retryTimer);
+        window.removeEventListener('online', this.handleOnline);
+    }
+}
+
+// Create global instance
+window.OutboxService = new OutboxService();
+
+// Auto-initialize when app is ready
+if (window.EventBus) {
+    window.EventBus.on('app:ready', () => {
+        window.OutboxService.init();
+    });
+}
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutboxService;
+}
@@ -0,0 +1,191 @@
+// PWA Service - Web app manifest and offline caching driven by AppConfig.pwa
+class PWAService {
+    constructor() {
+        this.config = null;
+        this.registration = null;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.injectManifest = this.injectManifest.bind(this);
+        this.registerServiceWorker = this.registerServiceWorker.bind(this);
+    }
+
+    async init() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.config = appConfig?.pwa || { enabled: false };
+
+        if (!this.config.enabled) {
+            return;
+        }
+
+        this.injectManifest();
+        await this.registerServiceWorker();
+    }
+
+    buildManifest() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        const name = this.config.name || appConfig?.event?.title || 'Event Invitation';
+
+        // The manifest is served from a data: URL, so every URL in it must be absolute
+        const startUrl = new URL('./', window.location.href).href;
+        const icon = this.config.icon ? new URL(this.config.icon, window.location.href).href : null;
+
+        const manifest = {
+            name,
+            short_name: this.config.shortName || name,
+            description: this.config.description || appConfig?.event?.subtitle || '',
+            start_url: startUrl,
+            scope: startUrl,
+            id: startUrl,
+            display: 'standalone',
+            theme_color: this.config.themeColor,
+            background_color: this.config.backgroundColor,
+            icons: []
+        };
+
+        if (icon) {
+            manifest.icons.push({
+                src: icon,
+                sizes: 'any',
+                type: this.getIconType(icon),
+                purpose: 'any'
+            });
+        }
+
+        return manifest;
+    }
+
+    getIconType(url) {
+        const extension = url.split('?')[0].split('.').pop().toLowerCase();
+        const types = {
+            svg: 'image/svg+xml',
+            png: 'image/png',
+            webp: 'image/webp',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg'
+        };
+        return types[extension] || 'image/png';
+    }
+
+    injectManifest() {
+        const manifest = this.buildManifest();
+        const href = `data:application/manifest+json,${encodeURIComponent(JSON.stringify(manifest))}`;
+
+        let link = document.querySelector('link[rel="manifest"]');
+        if (!link) {
+            link = document.createElement('link');
+            link.rel = 'manifest';
+            document.head.appendChild(link);
+        }
+        link.href = href;
+
+        this.setMetaTag('theme-color', this.config.themeColor);
+        this.setMetaTag('apple-mobile-web-app-capable', 'yes');
+        this.setMetaTag('apple-mobile-web-app-title', manifest.short_name);
+
+        if (manifest.icons.length) {
+            let touchIcon = document.querySelector('link[rel="apple-touch-icon"]');
+            if (!touchIcon) {
+                touchIcon = document.createElement('link');
+                touchIcon.rel = 'apple-touch-icon';
+                document.head.appendChild(touchIcon);
+            }
+            touchIcon.href = manifest.icons[0].src;
+        }
+
+        console.log('📱 Web app manifest generated');
+    }
+
+    setMetaTag(name, content) {
+        if (!content) return;
+
+        let tag = document.querySelector(`meta[name="${name}"]`);
+        if (!tag) {
+            tag = document.createElement('meta');
+            tag.name = name;
+            document.head.appendChild(tag);
+        }
+        tag.content = content;
+    }
+
+    isServiceWorkerSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext !== false;
+    }
+
+    async registerServiceWorker() {
+        if (!this.isServiceWorkerSupported()) {
+            console.warn('⚠️ Service workers not supported, offline mode disabled');
+            return null;
+        }
+
+        try {
+            const version = encodeURIComponent(this.config.cacheVersion || '1');
+            const scriptUrl = `${this.config.serviceWorker || 'sw.js'}?v=${version}`;
+
+            this.registration = await navigator.serviceWorker.register(scriptUrl);
+            console.log('📱 Service worker registered');
+
+            // Cache the rest of the site once the worker is running
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({
+                    type: 'precache',
+                    urls: this.getPrecacheUrls()
+                });
+            }
+
+            this.emit('pwa:ready', { registration: this.registration });
+            return this.registration;
+        } catch (error) {
+            console.error('❌ Service worker registration failed:', error);
+            return null;
+        }
+    }
+
+    // Everything the page loaded plus images that are only shown later
+    getPrecacheUrls() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        const urls = new Set();
+
+        document.querySelectorAll('script[src]').forEach(script => urls.add(script.src));
+        document.querySelectorAll('link[rel="stylesheet"][href]').forEach(link => urls.add(link.href));
+
+        const images = [
+            appConfig?.event?.heroImage,
+            appConfig?.details?.location?.staticMapImage,
+            this.config.icon,
+            ...(appConfig?.gallery?.images || []).map(image => image.src)
+        ];
+
+        images.filter(Boolean).forEach(src => {
+            urls.add(new URL(src, window.location.href).href);
+        });
+
+        if (window.App && window.App.getFontFiles) {
+            window.App.getFontFiles().forEach(url => urls.add(url));
+        }
+
+        return Array.from(urls);
+    }
+
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+}
+
+// Create global instance
+window.PWAService = new PWAService();
+
+// Auto-initialize when app is ready
+if (window.EventBus) {
+    window.EventBus.on('app:ready', () => {
+        window.PWAService.init();
+    });
+}
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PWAService;
+}
@@ -0,0 +1,595 @@
+// Storage Backends - Where StorageService keeps its entries
+//
+// Every backend offers the same synchronous interface so StorageService keeps its
+// setItem/getItem contract: keys(), read(key), write(key, entry), remove(key), clear(),
+// getSize() and subscribe(listener). Entries are { value, timestamp, expires, version, schema }.
+// IndexedDB is asynchronous, so its backend loads everything into memory in open() and
+// writes through to the database in the background. Its write() and remove() also return
+// a promise that resolves to true once the database has the change.
+
+// In-memory backend - last resort when nothing persists (private mode, storage disabled)
+class MemoryStorageBackend {
+    constructor() {
+        this.name = 'memory';
+        this.isPersistent = false;
+        this.estimatedQuota = Infinity;
+        this.entries = new Map();
+        this.usedBytes = 0;
+    }
+
+    static isSupported() {
+        return true;
+    }
+
+    async open() {
+        return this;
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    // Kept serialized so every read returns a fresh copy, as localStorage does
+    read(key) {
+        const stored = this.entries.get(key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    write(key, data) {
+        const stored = JSON.stringify(data);
+        this.usedBytes += stored.length - (this.entries.get(key)?.length || 0);
+        this.entries.set(key, stored);
+    }
+
+    remove(key) {
+        this.usedBytes -= this.entries.get(key)?.length || 0;
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.usedBytes = 0;
+    }
+
+    getSize() {
+        return this.usedBytes;
+    }
+
+    subscribe() {}
+}
+
+// localStorage backend - synchronous and widely available, but capped at about 5 MB
+class LocalStorageBackend {
+    constructor(prefix) {
+        this.name = 'localStorage';
+        this.isPersistent = true;
+        this.estimatedQuota = 5 * 1024 * 1024; // Varies by browser, typically 5-10MB
+        this.prefix = prefix;
+    }
+
+    static isSupported() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Local storage not available:', error.message);
+            return false;
+        }
+    }
+
+    async open() {
+        return this;
+    }
+
+    keys() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    // Throws on entries that aren't valid JSON, so callers can clean them up
+    read(key) {
+        const stored = localStorage.getItem(this.prefix + key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    write(key, data) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(data));
+    }
+
+    remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    clear() {
+        this.keys().forEach(key => this.remove(key));
+    }
+
+    getSize() {
+        return this.keys().reduce((total, key) => total + (localStorage.getItem(this.prefix + key) || '').length, 0);
+    }
+
+    // Other tabs' changes arrive as 'storage' events
+    subscribe(listener) {
+        window.addEventListener('storage', (event) => {
+            if (!event.key || !event.key.startsWith(this.prefix)) return;
+
+            const parse = (value) => {
+                try {
+                    return value ? JSON.parse(value) : null;
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            listener({
+                key: event.key.slice(this.prefix.length),
+                oldEntry: parse(event.oldValue),
+                newEntry: parse(event.newValue)
+            });
+        });
+    }
+}
+
+// IndexedDB backend - room for photos and long RSVP lists, with indexes on type and timestamp
+class IndexedDBStorageBackend {
+    constructor(prefix, options = {}) {
+        this.name = 'indexedDB';
+        this.isPersistent = true;
+        this.estimatedQuota = 50 * 1024 * 1024; // Replaced by navigator.storage.estimate() when available
+        this.prefix = prefix;
+        this.databaseName = options.databaseName || `${prefix}db`;
+        this.storeName = 'entries';
+        this.getType = options.getType || (key => key.split('_')[0]);
+        this.fallback = options.fallback || null; // Keeps entries the database refuses (usually over quota)
+        this.db = null;
+        this.cache = new MemoryStorageBackend();
+        this.pending = new Set();
+        this.channel = null;
+        this.listeners = [];
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Opens the database and loads every entry, so reads after this stay synchronous
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('type', 'type', { unique: false });
+                store.createIndex('timestamp', 'timestamp', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+
+        const records = await this.request(this.transaction('readonly').getAll());
+        records.forEach(record => this.cache.write(record.key, this.toEntry(record)));
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                if (estimate.quota) this.estimatedQuota = estimate.quota;
+            } catch (error) {
+                // Keep the default estimate
+            }
+        }
+
+        this.setupChannel();
+        return this;
+    }
+
+    keys() {
+        return this.cache.keys();
+    }
+
+    read(key) {
+        return this.cache.read(key);
+    }
+
+    write(key, data) {
+        this.cache.write(key, data);
+        this.broadcast(key, data);
+        return this.persist(store => store.put({ key, type: this.getType(key), ...data }), key, data);
+    }
+
+    remove(key) {
+        this.cache.remove(key);
+        this.broadcast(key, null);
+        this.removeFallback(key);
+        return this.persist(store => store.delete(key));
+    }
+
+    clear() {
+        this.keys().forEach(key => this.remove(key));
+    }
+
+    getSize() {
+        return this.cache.getSize();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Asynchronous queries straight from the database
+
+    getAllByType(type) {
+        const index = this.transaction('readonly').index('type');
+        return this.request(index.getAll(type))
+            .then(records => records.map(record => ({ key: record.key, ...this.toEntry(record) })));
+    }
+
+    // Entries written between two times (ms since epoch), oldest first
+    getByTimestamp(from = 0, to = Date.now()) {
+        const index = this.transaction('readonly').index('timestamp');
+        return this.request(index.getAll(IDBKeyRange.bound(from, to)))
+            .then(records => records.map(record => ({ key: record.key, ...this.toEntry(record) })));
+    }
+
+    // Resolves once every write made so far has reached the database
+    flush() {
+        return Promise.all(Array.from(this.pending)).then(() => undefined);
+    }
+
+    // Internals
+
+    transaction(mode) {
+        return this.db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Waits for the transaction to commit: quota errors can surface after the request succeeded.
+    // A refused write is kept in the fallback backend and reported with storage:error
+    persist(operation, key = null, data = null) {
+        if (!this.db) return Promise.resolve(false);
+
+        const store = this.transaction('readwrite');
+        operation(store);
+
+        const write = this.complete(store.transaction)
+            .then(() => {
+                if (data) this.removeFallback(key);
+                return true;
+            })
+            .catch(error => {
+                console.error('❌ Failed to write to IndexedDB:', error);
+
+                const savedTo = data ? this.writeFallback(key, data) : null;
+                if (window.EventBus) {
+                    window.EventBus.emit('storage:error', { backend: this.name, key, savedTo, error: error && error.message });
+                }
+                return false;
+            })
+            .finally(() => this.pending.delete(write));
+
+        this.pending.add(write);
+        return write;
+    }
+
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error || transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    // Name of the backend that kept the entry, or null when it is only in memory
+    writeFallback(key, data) {
+        if (!this.fallback) return null;
+
+        try {
+            this.fallback.write(key, data);
+            return this.fallback.name;
+        } catch (error) {
+            console.error(`❌ Could not keep ${key} in ${this.fallback.name} either:`, error);
+            return null;
+        }
+    }
+
+    removeFallback(key) {
+        if (!this.fallback) return;
+
+        try {
+            this.fallback.remove(key);
+        } catch (error) {
+            // Nothing to remove
+        }
+    }
+
+    toEntry(record) {
+        const { key, type, ...entry } = record;
+        return entry;
+    }
+
+    // Keep other open tabs' caches in step
+    setupChannel() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(this.databaseName);
+        this.channel.onmessage = (event) => {
+            const { key, entry } = event.data || {};
+            if (!key) return;
+
+            const oldEntry = this.cache.read(key);
+            if (entry) {
+                this.cache.write(key, entry);
+            } else {
+                this.cache.remove(key);
+            }
+
+            this.listeners.forEach(listener => listener({ key, oldEntry, newEntry: entry || null }));
+        };
+    }
+
+    broadcast(key, entry) {
+        if (this.channel) {
+            this.channel.postMessage({ key, entry });
+        }
+    }
+}
+
+// Encrypting wrapper - sensitive entries are kept as AES-GCM ciphertext in the wrapped backend.
+// Decrypted values only live in memory. Without a key (passphrase not entered yet) encrypted
+// entries stay locked, and new sensitive entries are kept in memory until unlock().
+class EncryptedStorageBackend {
+    constructor(inner, options = {}) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.isPersistent = inner.isPersistent;
+        this.isEncrypted = true;
+        this.estimatedQuota = inner.estimatedQuota;
+        this.isSensitive = options.isSensitive || (() => true);
+        this.encryption = options.encryption || window.EncryptionService;
+        this.key = null;
+        this.cache = new MemoryStorageBackend();
+        this.lockedKeys = new Set();
+        this.unsavedKeys = new Set();
+        this.queue = Promise.resolve();
+        this.generation = 0;
+        this.listeners = [];
+
+        // Only IndexedDB offers the asynchronous queries
+        if (!inner.getAllByType) {
+            this.getAllByType = null;
+            this.getByTimestamp = null;
+        }
+    }
+
+    async open(key = null) {
+        this.key = key;
+
+        for (const storageKey of this.inner.keys()) {
+            await this.load(storageKey, this.readInner(storageKey), { encryptPlain: true });
+        }
+
+        this.inner.subscribe(change => this.handleExternalChange(change));
+        return this;
+    }
+
+    keys() {
+        return this.cache.keys();
+    }
+
+    read(key) {
+        return this.cache.read(key);
+    }
+
+    write(key, data) {
+        this.cache.write(key, data);
+
+        if (!this.isSensitive(key)) {
+            return this.inner.write(key, data);
+        }
+
+        if (this.key) {
+            return this.persist(key, data);
+        }
+
+        this.unsavedKeys.add(key);
+        return Promise.resolve(false);
+    }
+
+    remove(key) {
+        this.cache.remove(key);
+        this.lockedKeys.delete(key);
+        this.unsavedKeys.delete(key);
+
+        if (this.isSensitive(key)) {
+            // Queued so it lands after any encryption still in progress for this key
+            this.enqueue(() => this.inner.remove(key));
+        } else {
+            this.inner.remove(key);
+        }
+    }
+
+    // Also wipes entries that are still locked
+    clear() {
+        this.generation++;
+        this.cache.clear();
+        this.lockedKeys.clear();
+        this.unsavedKeys.clear();
+        this.inner.clear();
+    }
+
+    getSize() {
+        return this.inner.getSize();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    isLocked() {
+        return !this.key;
+    }
+
+    hasLockedEntries() {
+        return this.lockedKeys.size > 0;
+    }
+
+    // Resolves to false, changing nothing, when the key can't open the locked entries
+    async unlock(key) {
+        const [sample] = Array.from(this.lockedKeys).filter(storageKey => !this.unsavedKeys.has(storageKey));
+        if (sample) {
+            try {
+                await this.decryptEntry(this.readInner(sample), key);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        this.key = key;
+
+        for (const storageKey of Array.from(this.lockedKeys)) {
+            this.lockedKeys.delete(storageKey);
+            if (!this.unsavedKeys.has(storageKey)) {
+                await this.load(storageKey, this.readInner(storageKey));
+            }
+        }
+
+        // Entries saved while locked, and plain ones from before encryption was turned on
+        this.cache.keys()
+            .filter(storageKey => this.isSensitive(storageKey))
+            .filter(storageKey => this.unsavedKeys.has(storageKey) || !this.readInner(storageKey)?.encrypted)
+            .forEach(storageKey => this.persist(storageKey, this.cache.read(storageKey)));
+        this.unsavedKeys.clear();
+
+        return true;
+    }
+
+    // Resolves once every encrypted write made so far has been saved
+    flush() {
+        return this.queue.then(() => (this.inner.flush ? this.inner.flush() : undefined));
+    }
+
+    getAllByType(type) {
+        return this.inner.getAllByType(type).then(entries => this.decryptAll(entries));
+    }
+
+    getByTimestamp(from, to) {
+        return this.inner.getByTimestamp(from, to).then(entries => this.decryptAll(entries));
+    }
+
+    // Internals
+
+    readInner(key) {
+        try {
+            return this.inner.read(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async load(key, data, options = {}) {
+        if (!data) return;
+
+        if (!data.encrypted) {
+            this.cache.write(key, data);
+            if (options.encryptPlain && this.key && this.isSensitive(key)) {
+                this.persist(key, data);
+            }
+            return;
+        }
+
+        if (!this.key) {
+            this.lockedKeys.add(key);
+            return;
+        }
+
+        try {
+            this.cache.write(key, await this.decryptEntry(data));
+        } catch (error) {
+            this.lockedKeys.add(key);
+            console.warn(`⚠️ Could not decrypt stored item ${key}`);
+        }
+    }
+
+    persist(key, data) {
+        const generation = this.generation;
+
+        return this.enqueue(async () => {
+            const encrypted = await this.encryptEntry(data);
+            if (generation !== this.generation) return false;
+
+            // The wrapped write is not awaited, so the next entry can be encrypted meanwhile
+            return { saved: this.inner.write(key, encrypted) };
+        }).then(result => (result ? result.saved : false));
+    }
+
+    // Resolves to the task's result, or false when it failed
+    enqueue(task) {
+        this.queue = this.queue
+            .then(task)
+            .catch(error => {
+                console.error('❌ Failed to write encrypted data:', error);
+                if (window.EventBus) {
+                    window.EventBus.emit('storage:error', { backend: this.name, error: error.message });
+                }
+                return false;
+            });
+
+        return this.queue;
+    }
+
+    // Timestamps and expiry stay readable so cleanup and the timestamp index keep working
+    async encryptEntry(data) {
+        const { value, ...meta } = data;
+        return { ...meta, encrypted: true, payload: await this.encryption.encrypt(this.key, value) };
+    }
+
+    async decryptEntry(data, key = this.key) {
+        const { encrypted, payload, ...meta } = data;
+        return { ...meta, value: await this.encryption.decrypt(key, payload) };
+    }
+
+    decryptAll(entries) {
+        return Promise.all(entries.map(async (entry) => {
+            if (!entry.encrypted || !this.key) return entry;
+
+            try {
+                return { key: entry.key, ...(await this.decryptEntry(entry)) };
+            } catch (error) {
+                return entry;
+            }
+        }));
+    }
+
+    async handleExternalChange({ key, newEntry }) {
+        const oldEntry = this.cache.read(key);
+
+        if (newEntry) {
+            await this.load(key, newEntry);
+        } else {
+            this.cache.remove(key);
+            this.lockedKeys.delete(key);
+        }
+
+        this.listeners.forEach(listener => listener({ key, oldEntry, newEntry: this.cache.read(key) }));
+    }
+}
+
+// Make available globally
+window.MemoryStorageBackend = MemoryStorageBackend;
+window.LocalStorageBackend = LocalStorageBackend;
+window.IndexedDBStorageBackend = IndexedDBStorageBackend;
+window.EncryptedStorageBackend = EncryptedStorageBackend;
+
+// Export for ES6 modules if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemoryStorageBackend, LocalStorageBackend, IndexedDBStorageBackend, EncryptedStorageBackend };
+}
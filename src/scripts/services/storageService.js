@@ -1,8 +1,24 @@
 // Storage Service - Handles local storage and data persistence
+// Entries live in a pluggable backend (see storageBackends.js); reads and writes stay synchronous.
 class StorageService {
     constructor() {
         this.storagePrefix = 'invitation_app_';
-        this.isAvailable = this.checkStorageAvailability();
+        this.isInitialized = false;
+        this.ready = null;
+
+        // Used until init() has opened the preferred backend
+        this.backend = this.createFallbackBackend();
+        this.isAvailable = !!this.backend;
+
+        // Entry types indexed by the IndexedDB backend; other keys are their own type
+        this.collections = ['rsvp', 'contact', 'guestbook', 'invitee'];
+
+        // storage.encryption, filled in by init()
+        this.encryptionConfig = { enabled: false };
+
+        // Bumped whenever the shape of stored data changes; each entry records the schema it was written with
+        this.schemaVersion = 2;
+        this.migrations = [];
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -10,25 +26,278 @@ class StorageService {
         this.getItem = this.getItem.bind(this);
         this.removeItem = this.removeItem.bind(this);
         this.clear = this.clear.bind(this);
+
+        this.registerDefaultMigrations();
     }
 
+    // Resolves once the backend is open; later calls return the same promise
     init() {
-        console.log('💾 Storage Service initialized, available:', this.isAvailable);
-        
-        // Clean up old data on init
-        this.cleanupOldData();
+        if (!this.ready) {
+            this.ready = this.setupBackend().then(() => {
+                this.isInitialized = true;
+                console.log(`💾 Storage Service initialized, backend: ${this.backend.name}`);
+
+                // Bring data saved by older versions up to date before anything reads it
+                this.runMigrations();
+
+                // Clean up old data on init
+                this.cleanupOldData();
+            });
+        }
+
+        return this.ready;
+    }
+
+    createFallbackBackend() {
+        if (window.LocalStorageBackend && window.LocalStorageBackend.isSupported()) {
+            return new window.LocalStorageBackend(this.storagePrefix);
+        }
+        return window.MemoryStorageBackend ? new window.MemoryStorageBackend() : null;
     }
 
-    checkStorageAvailability() {
+    // storage.backend: 'auto' (IndexedDB, then localStorage, then memory), 'indexedDB', 'localStorage' or 'memory'
+    async setupBackend() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        const preferred = appConfig?.storage?.backend || 'auto';
+
+        if (preferred === 'memory') {
+            this.backend = new window.MemoryStorageBackend();
+        } else if (preferred !== 'localStorage' && window.IndexedDBStorageBackend && window.IndexedDBStorageBackend.isSupported()) {
+            await this.openIndexedDB();
+        }
+
+        await this.setupEncryption();
+    }
+
+    async openIndexedDB() {
         try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
+            const backend = new window.IndexedDBStorageBackend(this.storagePrefix, {
+                getType: key => this.getType(key),
+                fallback: this.backend && this.backend.isPersistent ? this.backend : null
+            });
+            await backend.open();
+
+            await this.moveEntries(this.backend, backend);
+            this.backend = backend;
         } catch (error) {
-            console.warn('⚠️ Local storage not available:', error.message);
+            console.warn(`⚠️ IndexedDB not available, using ${this.backend ? this.backend.name : 'no storage'}:`, error.message || error);
+        }
+    }
+
+    // storage.encryption: personal data is encrypted on disk with a per-device key or the guest's passphrase
+    async setupEncryption() {
+        const appConfig = window.App ? window.App.getConfig() : null;
+        this.encryptionConfig = {
+            enabled: false,
+            keySource: 'device', // 'device' | 'passphrase'
+            sensitiveKeys: ['rsvp_', 'contact_', 'outbox', 'invitee_'],
+            ...(appConfig?.storage?.encryption || {})
+        };
+
+        if (!this.encryptionConfig.enabled || !this.backend || !this.backend.isPersistent || !window.EncryptedStorageBackend) {
+            return;
+        }
+
+        const supported = !!(window.EncryptionService && window.EncryptionService.isSupported());
+        let key = null;
+
+        if (!supported) {
+            console.warn('⚠️ Encryption needs a secure (https) page; personal data will not be kept after the tab closes');
+        } else if (this.encryptionConfig.keySource === 'device') {
+            try {
+                key = await window.EncryptionService.getDeviceKey();
+            } catch (error) {
+                console.error('❌ Failed to load the device key:', error);
+            }
+
+            if (!key) {
+                console.warn('⚠️ No device key available; personal data will not be kept after the tab closes');
+            }
+        }
+
+        const backend = new window.EncryptedStorageBackend(this.backend, {
+            isSensitive: storageKey => this.isSensitiveKey(storageKey)
+        });
+        await backend.open(key);
+        this.backend = backend;
+
+        console.log(`🔐 Storage encryption on (${this.encryptionConfig.keySource} key${backend.isLocked() ? ', locked' : ''})`);
+    }
+
+    isSensitiveKey(key) {
+        return (this.encryptionConfig.sensitiveKeys || []).some(prefix => key.startsWith(prefix));
+    }
+
+    isEncrypted() {
+        return !!(this.backend && this.backend.isEncrypted);
+    }
+
+    // False while writes to this key only live in memory and are lost with the tab
+    isKept(key) {
+        if (!this.backend || !this.backend.isPersistent) return false;
+        return !(this.isLocked() && this.isSensitiveKey(key));
+    }
+
+    // True while a passphrase is needed before personal data can be read or saved
+    isLocked() {
+        return this.isEncrypted() && this.backend.isLocked();
+    }
+
+    hasLockedData() {
+        return this.isEncrypted() && this.backend.hasLockedEntries();
+    }
+
+    // The first passphrase entered on a device becomes the passphrase for it
+    async unlock(passphrase) {
+        if (!this.isLocked()) return true;
+        if (!passphrase || this.encryptionConfig.keySource !== 'passphrase'
+            || !window.EncryptionService || !window.EncryptionService.isSupported()) {
+            return false;
+        }
+
+        const salt = this.getItem('encryption_salt') || window.EncryptionService.createSalt();
+        const key = await window.EncryptionService.deriveKey(passphrase, salt);
+
+        if (!(await this.backend.unlock(key))) {
+            this.emit('storage:unlock-failed');
             return false;
         }
+
+        // Saved again on every unlock so the 90-day cleanup never outlives the data it protects
+        this.setItem('encryption_salt', salt);
+        this.runMigrations();
+
+        this.emit('storage:unlocked');
+        return true;
+    }
+
+    // "Forget my data": wipes everything this site saved on the device, including
+    // replies still waiting to be sent, session data and the device encryption key.
+    // Until the page reloads, anything saved is only kept in memory.
+    async forgetMyData() {
+        // Stop queued replies from being saved again while we wipe them
+        if (window.OutboxService) {
+            window.OutboxService.destroy();
+        }
+
+        const backend = this.backend;
+        this.backend = new window.MemoryStorageBackend();
+
+        try {
+            backend.clear();
+            if (backend.flush) await backend.flush();
+        } catch (error) {
+            this.backend = backend;
+            throw error;
+        }
+
+        try {
+            Object.keys(sessionStorage)
+                .filter(key => key.startsWith(this.storagePrefix))
+                .forEach(key => sessionStorage.removeItem(key));
+        } catch (error) {
+            console.error('❌ Failed to clear session data:', error);
+        }
+
+        // Only once nothing can be encrypted with it any more
+        if (backend.isEncrypted && this.encryptionConfig.keySource === 'device' && window.EncryptionService) {
+            try {
+                await window.EncryptionService.deleteDeviceKey();
+            } catch (error) {
+                console.error('❌ Failed to delete the device key:', error);
+            }
+        }
+
+        console.log('💾 Forgot all data stored on this device');
+        this.emit('storage:forgotten');
+        return true;
+    }
+
+    // Data saved in localStorage by earlier visits, or kept there when IndexedDB was full,
+    // moves into the new backend. Items only leave localStorage once the database has them.
+    async moveEntries(from, to) {
+        if (!from || !from.isPersistent) return;
+
+        const moves = [];
+        from.keys().forEach(key => {
+            let data;
+            try {
+                data = from.read(key);
+            } catch (error) {
+                console.warn(`⚠️ Dropping unreadable stored item ${key}`);
+                from.remove(key);
+                return;
+            }
+
+            const existing = to.read(key);
+            if (!data || (existing && (existing.timestamp || 0) >= (data.timestamp || 0))) {
+                from.remove(key);
+                return;
+            }
+
+            moves.push(Promise.resolve(to.write(key, data)).then(saved => ({ key, saved })));
+        });
+
+        const results = await Promise.all(moves);
+        await to.flush();
+
+        const moved = results.filter(result => result.saved);
+        moved.forEach(result => from.remove(result.key));
+
+        if (moved.length > 0) {
+            console.log(`💾 Moved ${moved.length} stored items from ${from.name} to ${to.name}`);
+        }
+        if (moved.length < results.length) {
+            console.warn(`⚠️ ${results.length - moved.length} stored items stay in ${from.name} until ${to.name} has room`);
+        }
+    }
+
+    getType(key) {
+        const type = key.split('_')[0];
+        return this.collections.includes(type) ? type : key;
+    }
+
+    // Lets the IndexedDB backend finish writing, e.g. before the page is closed
+    flush() {
+        return this.backend && this.backend.flush ? this.backend.flush() : Promise.resolve();
+    }
+
+    // Asynchronous queries: straight from IndexedDB's indexes when it is the backend,
+    // otherwise from the synchronous entries. Both resolve to [{ key, value, timestamp, ... }]
+
+    async getAllByType(type) {
+        if (this.backend && this.backend.getAllByType) {
+            return this.backend.getAllByType(type);
+        }
+
+        return this.getEntries(key => this.getType(key) === type);
+    }
+
+    // Entries written between two times (ms since epoch), oldest first
+    async getByTimestamp(from = 0, to = Date.now()) {
+        if (this.backend && this.backend.getByTimestamp) {
+            return this.backend.getByTimestamp(from, to);
+        }
+
+        return this.getEntries(() => true)
+            .filter(entry => entry.timestamp >= from && entry.timestamp <= to)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    getEntries(filter) {
+        if (!this.isAvailable) return [];
+
+        return this.backend.keys()
+            .filter(filter)
+            .map(key => {
+                try {
+                    const data = this.backend.read(key);
+                    return data ? { key, ...data } : null;
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
     }
 
     setItem(key, value, options = {}) {
@@ -38,15 +307,15 @@ class StorageService {
         }
 
         try {
-            const storageKey = this.storagePrefix + key;
             const data = {
                 value,
                 timestamp: Date.now(),
                 expires: options.expires || null,
-                version: options.version || '1.0'
+                version: options.version || '1.0',
+                schema: this.schemaVersion
             };
 
-            localStorage.setItem(storageKey, JSON.stringify(data));
+            this.backend.write(key, data);
             console.log('💾 Saved to storage:', key);
             return true;
         } catch (error) {
@@ -61,14 +330,11 @@ class StorageService {
         }
 
         try {
-            const storageKey = this.storagePrefix + key;
-            const stored = localStorage.getItem(storageKey);
+            const data = this.backend.read(key);
             
-            if (!stored) {
+            if (!data) {
                 return defaultValue;
             }
-
-            const data = JSON.parse(stored);
             
             // Check expiration
             if (data.expires && Date.now() > data.expires) {
@@ -89,8 +355,7 @@ class StorageService {
         }
 
         try {
-            const storageKey = this.storagePrefix + key;
-            localStorage.removeItem(storageKey);
+            this.backend.remove(key);
             console.log('💾 Removed from storage:', key);
             return true;
         } catch (error) {
@@ -105,12 +370,7 @@ class StorageService {
         }
 
         try {
-            const keys = Object.keys(localStorage);
-            keys.forEach(key => {
-                if (key.startsWith(this.storagePrefix)) {
-                    localStorage.removeItem(key);
-                }
-            });
+            this.backend.clear();
             console.log('💾 Cleared all app storage');
             return true;
         } catch (error) {
@@ -121,10 +381,32 @@ class StorageService {
 
     // Specialized methods for app data
     saveRSVP(rsvpData) {
-        const key = `rsvp_${Date.now()}`;
-        return this.setItem(key, rsvpData, {
+        const key = `rsvp_${rsvpData.id || Date.now()}`;
+        const options = {
             expires: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-        });
+        };
+
+        const saved = this.setItem(key, rsvpData, options);
+
+        // Remember this device's own response so the guest can change it later
+        if (saved && rsvpData.id) {
+            this.setItem('last_rsvp', rsvpData.id, options);
+        }
+
+        return saved;
+    }
+
+    getRSVP(id) {
+        if (!id) return null;
+        return this.getItem(`rsvp_${id}`);
+    }
+
+    updateRSVP(id, rsvpData) {
+        return this.saveRSVP({ ...rsvpData, id });
+    }
+
+    getLastRSVP() {
+        return this.getRSVP(this.getItem('last_rsvp'));
     }
 
     getRSVPs() {
@@ -132,9 +414,9 @@ class StorageService {
         if (!this.isAvailable) return rsvps;
 
         try {
-            const keys = Object.keys(localStorage);
+            const keys = this.backend.keys();
             keys.forEach(key => {
-                if (key.startsWith(this.storagePrefix + 'rsvp_')) {
+                if (key.startsWith('rsvp_')) {
                     const rsvp = this.getStoredItem(key);
                     if (rsvp) {
                         rsvps.push(rsvp);
@@ -148,6 +430,43 @@ class StorageService {
         return rsvps.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     }
 
+    // Per-course meal counts across all attending RSVPs, for the caterer
+    getMealTally() {
+        const tally = {
+            totalResponses: 0,
+            totalMeals: 0,
+            courses: {}
+        };
+
+        this.getRSVPs().forEach(rsvp => {
+            if (rsvp.attendance !== 'yes' || rsvp.status === 'cancelled') return;
+            tally.totalResponses++;
+
+            const attendees = [rsvp, ...(Array.isArray(rsvp.partyMembers) ? rsvp.partyMembers : [])];
+
+            attendees.forEach(attendee => {
+                if (!Array.isArray(attendee.meals)) return;
+
+                attendee.meals.forEach(meal => {
+                    const course = tally.courses[meal.courseId] || (tally.courses[meal.courseId] = {
+                        name: meal.course,
+                        options: {}
+                    });
+
+                    const option = course.options[meal.optionId] || (course.options[meal.optionId] = {
+                        name: meal.option,
+                        count: 0
+                    });
+
+                    option.count++;
+                    tally.totalMeals++;
+                });
+            });
+        });
+
+        return tally;
+    }
+
     saveContactMessage(contactData) {
         const key = `contact_${Date.now()}`;
         return this.setItem(key, contactData, {
@@ -160,9 +479,9 @@ class StorageService {
         if (!this.isAvailable) return messages;
 
         try {
-            const keys = Object.keys(localStorage);
+            const keys = this.backend.keys();
             keys.forEach(key => {
-                if (key.startsWith(this.storagePrefix + 'contact_')) {
+                if (key.startsWith('contact_')) {
                     const message = this.getStoredItem(key);
                     if (message) {
                         messages.push(message);
@@ -176,16 +495,87 @@ class StorageService {
         return messages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     }
 
-    getStoredItem(fullKey) {
+    saveGuestbookEntry(entry) {
+        return this.setItem(`guestbook_${entry.id}`, entry);
+    }
+
+    getGuestbookEntries() {
+        const entries = [];
+        if (!this.isAvailable) return entries;
+
+        try {
+            const keys = this.backend.keys();
+            keys.forEach(key => {
+                if (key.startsWith('guestbook_')) {
+                    const entry = this.getStoredItem(key);
+                    if (entry) {
+                        entries.push(entry);
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to get guestbook entries:', error);
+        }
+
+        return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    // Invitee list imported by the organizer; kept until the list is replaced
+    saveInvitee(invitee) {
+        return this.setItem(`invitee_${invitee.id}`, invitee);
+    }
+
+    getInvitee(id) {
+        if (!id) return null;
+        return this.getItem(`invitee_${id}`);
+    }
+
+    getInvitees() {
+        const invitees = [];
+        if (!this.isAvailable) return invitees;
+
         try {
-            const stored = localStorage.getItem(fullKey);
-            if (!stored) return null;
+            const keys = this.backend.keys();
+            keys.forEach(key => {
+                if (key.startsWith('invitee_')) {
+                    const invitee = this.getStoredItem(key);
+                    if (invitee) {
+                        invitees.push(invitee);
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to get invitees:', error);
+        }
 
-            const data = JSON.parse(stored);
+        return invitees.sort((a, b) => (a.household || a.name).localeCompare(b.household || b.name) || a.name.localeCompare(b.name));
+    }
+
+    clearInvitees() {
+        this.getInvitees().forEach(invitee => this.removeItem(`invitee_${invitee.id}`));
+    }
+
+    // Outbox of submissions waiting to be sent
+    getOutbox() {
+        const outbox = this.getItem('outbox', []);
+        return Array.isArray(outbox) ? outbox : [];
+    }
+
+    saveOutbox(items) {
+        if (!items.length) {
+            return this.removeItem('outbox');
+        }
+        return this.setItem('outbox', items);
+    }
+
+    getStoredItem(key) {
+        try {
+            const data = this.backend.read(key);
+            if (!data) return null;
             
             // Check expiration
             if (data.expires && Date.now() > data.expires) {
-                localStorage.removeItem(fullKey);
+                this.backend.remove(key);
                 return null;
             }
 
@@ -255,6 +645,91 @@ class StorageService {
         }
     }
 
+    // Schema migrations
+
+    // migration: { version, keys, description, migrate(value, key) }. `keys` is a key prefix
+    // such as 'rsvp_' (or a list of them); migrate returns the value in the new shape.
+    registerMigration(migration) {
+        if (!migration || !migration.version || typeof migration.migrate !== 'function') {
+            throw new Error('A migration needs a version and a migrate function');
+        }
+        if (migration.version > this.schemaVersion) {
+            throw new Error(`Migration ${migration.version} is newer than schema version ${this.schemaVersion}`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    registerDefaultMigrations() {
+        // Schema 1 → 2: RSVPs saved before replies could be changed had no id, edit token or status
+        this.registerMigration({
+            version: 2,
+            keys: 'rsvp_',
+            description: 'Add id, edit token and status to RSVPs',
+            migrate: (rsvp, key) => {
+                if (!rsvp || typeof rsvp !== 'object') return rsvp;
+
+                const randomToken = (length) => (window.Helpers
+                    ? window.Helpers.randomToken(length)
+                    : Math.random().toString(36).slice(2, 2 + length));
+
+                return {
+                    ...rsvp,
+                    id: rsvp.id || key.slice('rsvp_'.length),
+                    editToken: rsvp.editToken || randomToken(16),
+                    status: rsvp.status || 'active'
+                };
+            }
+        });
+    }
+
+    // Value of `key` written with schema `fromVersion`, in the current shape
+    migrateValue(key, value, fromVersion = 1) {
+        return this.migrations
+            .filter(migration => migration.version > fromVersion && migration.version <= this.schemaVersion)
+            .filter(migration => [].concat(migration.keys || '').some(prefix => key.startsWith(prefix)))
+            .reduce((migrated, migration) => migration.migrate(migrated, key), value);
+    }
+
+    // Entries written before schema versions existed count as schema 1
+    runMigrations() {
+        if (!this.isAvailable) return 0;
+
+        let migratedCount = 0;
+
+        this.backend.keys().forEach(key => {
+            try {
+                const data = this.backend.read(key);
+                if (!data || typeof data !== 'object' || !('value' in data)) return;
+
+                const schema = data.schema || 1;
+                if (schema >= this.schemaVersion) {
+                    if (schema > this.schemaVersion) {
+                        console.warn(`⚠️ ${key} was saved by a newer version (schema ${schema}); leaving it as it is`);
+                    }
+                    return;
+                }
+
+                this.backend.write(key, {
+                    ...data,
+                    value: this.migrateValue(key, data.value, schema),
+                    schema: this.schemaVersion
+                });
+                migratedCount++;
+            } catch (error) {
+                console.error(`❌ Failed to migrate ${key}:`, error);
+            }
+        });
+
+        if (migratedCount > 0) {
+            console.log(`💾 Migrated ${migratedCount} stored items to schema ${this.schemaVersion}`);
+            this.emit('storage:migrated', { count: migratedCount, schema: this.schemaVersion });
+        }
+
+        return migratedCount;
+    }
+
     // Data export/import
     exportData() {
         if (!this.isAvailable) {
@@ -263,18 +738,16 @@ class StorageService {
 
         try {
             const data = {};
-            const keys = Object.keys(localStorage);
+            const keys = this.backend.keys();
             
             keys.forEach(key => {
-                if (key.startsWith(this.storagePrefix)) {
-                    const shortKey = key.replace(this.storagePrefix, '');
-                    data[shortKey] = this.getStoredItem(key);
-                }
+                data[key] = this.getStoredItem(key);
             });
 
             return {
                 exported: new Date().toISOString(),
                 version: '1.0',
+                schema: this.schemaVersion,
                 data
             };
         } catch (error) {
@@ -283,15 +756,22 @@ class StorageService {
         }
     }
 
+    // Exports from older versions (no `schema`, or a lower one) are migrated before they are written
     importData(exportedData) {
         if (!this.isAvailable || !exportedData || !exportedData.data) {
             return false;
         }
 
+        const schema = exportedData.schema || 1;
+        if (schema > this.schemaVersion) {
+            console.error(`❌ This export comes from a newer version (schema ${schema}) and can't be imported`);
+            return false;
+        }
+
         try {
             Object.keys(exportedData.data).forEach(key => {
                 if (exportedData.data[key] !== null) {
-                    this.setItem(key, exportedData.data[key]);
+                    this.setItem(key, this.migrateValue(key, exportedData.data[key], schema));
                 }
             });
 
@@ -310,26 +790,20 @@ class StorageService {
         }
 
         try {
-            const keys = Object.keys(localStorage);
-            const appKeys = keys.filter(key => key.startsWith(this.storagePrefix));
-            
-            let totalSize = 0;
+            const appKeys = this.backend.keys();
+            const totalSize = this.backend.getSize();
             const itemCounts = {};
 
+            // Categorize by key prefix
             appKeys.forEach(key => {
-                const value = localStorage.getItem(key);
-                if (value) {
-                    totalSize += value.length;
-                    
-                    // Categorize by key prefix
-                    const shortKey = key.replace(this.storagePrefix, '');
-                    const category = shortKey.split('_')[0];
-                    itemCounts[category] = (itemCounts[category] || 0) + 1;
-                }
+                const category = key.split('_')[0];
+                itemCounts[category] = (itemCounts[category] || 0) + 1;
             });
 
             return {
                 available: true,
+                backend: this.backend.name,
+                persistent: this.backend.isPersistent,
                 totalItems: appKeys.length,
                 totalSize: totalSize,
                 totalSizeKB: Math.round(totalSize / 1024 * 100) / 100,
@@ -342,18 +816,12 @@ class StorageService {
         }
     }
 
+    // IndexedDB and memory backends keep a running total, so this no longer reads every entry
     getStorageUsage() {
         try {
-            let total = 0;
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    total += localStorage[key].length;
-                }
-            }
-            
-            // Estimate quota (varies by browser, typically 5-10MB)
-            const estimatedQuota = 5 * 1024 * 1024; // 5MB
-            const usagePercent = Math.round((total / estimatedQuota) * 100);
+            const total = this.backend.getSize();
+            const estimatedQuota = this.backend.estimatedQuota;
+            const usagePercent = Number.isFinite(estimatedQuota) ? Math.round((total / estimatedQuota) * 100) : 0;
             
             return {
                 used: total,
@@ -371,34 +839,30 @@ class StorageService {
         if (!this.isAvailable) return;
 
         try {
-            const keys = Object.keys(localStorage);
+            const keys = this.backend.keys();
             let cleanedCount = 0;
 
             keys.forEach(key => {
-                if (key.startsWith(this.storagePrefix)) {
-                    const stored = localStorage.getItem(key);
-                    if (stored) {
-                        try {
-                            const data = JSON.parse(stored);
-                            
-                            // Remove expired items
-                            if (data.expires && Date.now() > data.expires) {
-                                localStorage.removeItem(key);
-                                cleanedCount++;
-                            }
-                            
-                            // Remove items older than 90 days
-                            const ninetyDaysAgo = Date.now() - (90 * 24 * 60 * 60 * 1000);
-                            if (data.timestamp && data.timestamp < ninetyDaysAgo) {
-                                localStorage.removeItem(key);
-                                cleanedCount++;
-                            }
-                        } catch (parseError) {
-                            // Remove corrupted items
-                            localStorage.removeItem(key);
-                            cleanedCount++;
-                        }
+                try {
+                    const data = this.backend.read(key);
+                    if (!data) return;
+                    
+                    // Remove expired items
+                    if (data.expires && Date.now() > data.expires) {
+                        this.backend.remove(key);
+                        cleanedCount++;
                     }
+                    
+                    // Remove items older than 90 days
+                    const ninetyDaysAgo = Date.now() - (90 * 24 * 60 * 60 * 1000);
+                    if (data.timestamp && data.timestamp < ninetyDaysAgo) {
+                        this.backend.remove(key);
+                        cleanedCount++;
+                    }
+                } catch (parseError) {
+                    // Remove corrupted items
+                    this.backend.remove(key);
+                    cleanedCount++;
                 }
             });
 
@@ -416,24 +880,24 @@ class StorageService {
         return usage.usagePercent && usage.usagePercent > threshold;
     }
 
+    emit(eventType, data = null) {
+        if (window.EventBus) {
+            window.EventBus.emit(eventType, data);
+        }
+    }
+
     // Storage event handling for cross-tab synchronization
+    // oldValue/newValue are the stored values (null when missing), whatever the backend
     setupStorageSync() {
         if (!this.isAvailable) return;
 
-        window.addEventListener('storage', (event) => {
-            if (event.key && event.key.startsWith(this.storagePrefix)) {
-                const shortKey = event.key.replace(this.storagePrefix, '');
-                
-                // Emit storage change event
-                if (window.EventBus) {
-                    window.EventBus.emit('storage:changed', {
-                        key: shortKey,
-                        oldValue: event.oldValue,
-                        newValue: event.newValue,
-                        storageArea: event.storageArea
-                    });
-                }
-            }
+        this.backend.subscribe(({ key, oldEntry, newEntry }) => {
+            this.emit('storage:changed', {
+                key,
+                oldValue: oldEntry ? oldEntry.value : null,
+                newValue: newEntry ? newEntry.value : null,
+                backend: this.backend.name
+            });
         });
 
         console.log('💾 Storage synchronization enabled');
@@ -446,7 +910,7 @@ window.StorageService = new StorageService();
 // Auto-initialize when app is ready
 if (window.EventBus) {
     window.EventBus.on('app:ready', () => {
-        window.StorageService.init();
+        window.StorageService.init(); // No-op when the app already initialized storage
         window.StorageService.setupStorageSync();
     });
 }
@@ -41,6 +41,12 @@ class Helpers {
     }
 
     // Date utilities
+
+    // Locale of the active language, or the browser default
+    static getLocale() {
+        return window.I18nService ? window.I18nService.getLocale() : undefined;
+    }
+
     static formatDate(date, options = {}) {
         if (!date) return '';
         
@@ -54,7 +60,7 @@ class Helpers {
             ...options
         };
 
-        return d.toLocaleDateString(undefined, defaultOptions);
+        return d.toLocaleDateString(this.getLocale(), defaultOptions);
     }
 
     static formatDateTime(date, options = {}) {
@@ -72,7 +78,7 @@ class Helpers {
             ...options
         };
 
-        return d.toLocaleString(undefined, defaultOptions);
+        return d.toLocaleString(this.getLocale(), defaultOptions);
     }
 
     static timeAgo(date) {
@@ -85,6 +91,15 @@ class Helpers {
         const diffHours = Math.floor(diffMinutes / 60);
         const diffDays = Math.floor(diffHours / 24);
 
+        if (typeof Intl !== 'undefined' && Intl.RelativeTimeFormat) {
+            const relative = new Intl.RelativeTimeFormat(this.getLocale(), { numeric: 'auto' });
+            if (diffMinutes < 1) return relative.format(0, 'second');
+            if (diffMinutes < 60) return relative.format(-diffMinutes, 'minute');
+            if (diffHours < 24) return relative.format(-diffHours, 'hour');
+            if (diffDays < 30) return relative.format(-diffDays, 'day');
+            return this.formatDate(date);
+        }
+
         if (diffMinutes < 1) return 'just now';
         if (diffMinutes < 60) return `${diffMinutes} minute${diffMinutes > 1 ? 's' : ''} ago`;
         if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
@@ -104,6 +119,115 @@ class Helpers {
         return result;
     }
 
+    // Parse a date, treating plain YYYY-MM-DD strings as local calendar dates
+    static parseLocalDate(date) {
+        if (!date) return null;
+
+        if (typeof date === 'string') {
+            const match = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            if (match) {
+                return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            }
+        }
+
+        const d = new Date(date);
+        return isNaN(d.getTime()) ? null : d;
+    }
+
+    static endOfDay(date) {
+        const d = this.parseLocalDate(date);
+        if (!d) return null;
+        d.setHours(23, 59, 59, 999);
+        return d;
+    }
+
+    // Whole calendar days from today until the given date (negative once past)
+    static daysUntil(date) {
+        const target = this.parseLocalDate(date);
+        if (!target) return null;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const targetDay = new Date(target.getTime());
+        targetDay.setHours(0, 0, 0, 0);
+
+        return Math.round((targetDay - today) / (24 * 60 * 60 * 1000));
+    }
+
+    // Offset of a time zone from UTC in milliseconds at the given instant
+    static getTimeZoneOffset(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+
+        const values = {};
+        parts.forEach(part => {
+            values[part.type] = Number(part.value);
+        });
+
+        const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        return asUTC - (Math.floor(date.getTime() / 1000) * 1000);
+    }
+
+    // Convert a wall-clock time such as '2025-12-25T18:00' in an IANA time zone to a Date
+    static zonedTimeToUtc(dateTime, timeZone) {
+        if (!dateTime) return null;
+
+        const match = String(dateTime).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) {
+            const d = new Date(dateTime);
+            return isNaN(d.getTime()) ? null : d;
+        }
+
+        const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(value => Number(value || 0));
+
+        if (!timeZone) {
+            return new Date(year, month - 1, day, hours, minutes, seconds);
+        }
+
+        try {
+            const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+            const offset = this.getTimeZoneOffset(new Date(wallClock), timeZone);
+            let utc = wallClock - offset;
+
+            // Correct the guess when it lands on the other side of a DST change
+            const correctedOffset = this.getTimeZoneOffset(new Date(utc), timeZone);
+            if (correctedOffset !== offset) {
+                utc = wallClock - correctedOffset;
+            }
+
+            return new Date(utc);
+        } catch (error) {
+            console.warn('⚠️ Unknown time zone, using local time:', timeZone);
+            return new Date(year, month - 1, day, hours, minutes, seconds);
+        }
+    }
+
+    // Parse a time of day like '5:30 PM' or '17:30' into hours and minutes
+    static parseTimeOfDay(time) {
+        if (!time) return null;
+
+        const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const meridiem = match[3] ? match[3].charAt(0).toLowerCase() : null;
+
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+
+        if (hours > 23 || minutes > 59) return null;
+        return { hours, minutes };
+    }
+
     // Validation utilities
     static isValidEmail(email) {
         if (!email) return false;
@@ -128,6 +252,18 @@ class Helpers {
         }
     }
 
+    // Anything the browser accepts as a CSS colour: #hex, rgb(), hsl(), named colours...
+    static isValidColor(color) {
+        if (!color || typeof color !== 'string') return false;
+        if (window.CSS && typeof window.CSS.supports === 'function') {
+            return window.CSS.supports('color', color);
+        }
+
+        const style = document.createElement('span').style;
+        style.color = color;
+        return style.color !== '';
+    }
+
     static sanitizeInput(input, maxLength = 1000) {
         if (!input) return '';
         return this.escapeHtml(input.toString().trim().substring(0, maxLength));
@@ -205,12 +341,24 @@ class Helpers {
     }
 
     // Animation utilities
+    // Durations follow customization.animations; reduced motion skips straight to the end state
+    static getMotionDuration(duration) {
+        return window.MotionService ? window.MotionService.getDuration(duration) : duration;
+    }
+
     static fadeIn(element, duration = 300) {
         if (!element) return Promise.resolve();
 
-        element.style.opacity = '0';
+        duration = this.getMotionDuration(duration);
         element.style.display = 'block';
 
+        if (!duration) {
+            element.style.opacity = '1';
+            return Promise.resolve();
+        }
+
+        element.style.opacity = '0';
+
         return new Promise(resolve => {
             const start = performance.now();
             
@@ -234,6 +382,12 @@ class Helpers {
     static fadeOut(element, duration = 300) {
         if (!element) return Promise.resolve();
 
+        duration = this.getMotionDuration(duration);
+        if (!duration) {
+            element.style.display = 'none';
+            return Promise.resolve();
+        }
+
         const startOpacity = parseFloat(getComputedStyle(element).opacity) || 1;
 
         return new Promise(resolve => {
@@ -260,6 +414,12 @@ class Helpers {
     static slideUp(element, duration = 300) {
         if (!element) return Promise.resolve();
 
+        duration = this.getMotionDuration(duration);
+        if (!duration) {
+            element.style.display = 'none';
+            return Promise.resolve();
+        }
+
         const startHeight = element.offsetHeight;
         element.style.overflow = 'hidden';
 
@@ -289,7 +449,10 @@ class Helpers {
     static slideDown(element, duration = 300) {
         if (!element) return Promise.resolve();
 
+        duration = this.getMotionDuration(duration);
         element.style.display = 'block';
+        if (!duration) return Promise.resolve();
+
         const targetHeight = element.offsetHeight;
         element.style.height = '0px';
         element.style.overflow = 'hidden';
@@ -424,6 +587,17 @@ class Helpers {
         return result;
     }
 
+    // Unguessable token for links that grant access (falls back to randomId)
+    static randomToken(length = 16) {
+        if (!window.crypto || !window.crypto.getRandomValues) {
+            return this.randomId(length);
+        }
+
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        const values = window.crypto.getRandomValues(new Uint32Array(length));
+        return Array.from(values, value => chars.charAt(value % chars.length)).join('');
+    }
+
     static randomColor() {
         return '#' + Math.floor(Math.random() * 16777215).toString(16);
     }
@@ -493,6 +667,22 @@ class Helpers {
         return result;
     }
 
+    // File utilities
+    static downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // Error handling
     static safeJsonParse(json, defaultValue = null) {
         try {
@@ -0,0 +1,121 @@
+// Service Worker - Keeps the invitation available offline
+// The page registers this file as sw.js?v=<cacheVersion>, so bumping the version installs a fresh cache
+const CACHE_VERSION = new URL(self.location.href).searchParams.get('v') || '1';
+const CACHE_PREFIX = 'invitation-app-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// App shell; the page sends the remaining styles, scripts and images once it has loaded
+const PRECACHE_URLS = [
+    './',
+    'index.html'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'precache' && Array.isArray(message.urls)) {
+        event.waitUntil(precache(message.urls));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // Form submissions and other writes always go to the network
+    if (request.method !== 'GET') return;
+
+    // Other hosts (maps, fonts, form services) manage their own caching
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+        return;
+    }
+
+    // The guest list and guestbook messages change after publishing; cached copies are only for offline use
+    if (isDataRequest(request, url)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+function isDataRequest(request, url) {
+    return url.pathname.endsWith('.json') || request.destination === '';
+}
+
+async function precache(urls) {
+    const cache = await caches.open(CACHE_NAME);
+
+    await Promise.all(urls.map(async (url) => {
+        try {
+            if (await cache.match(url)) return;
+
+            // Requests to other hosts are never answered from the cache, so there is no point keeping them
+            if (new URL(url, self.location.href).origin !== self.location.origin) return;
+
+            const response = await fetch(url);
+
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn('📦 Could not precache:', url, error.message);
+        }
+    }));
+}
+
+// Pages and data: latest version when online, cached copy (or the fallback page) when not
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (fallbackUrl && await cache.match(fallbackUrl))
+            || Response.error();
+    }
+}
+
+// Assets: answer from the cache straight away and refresh it in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}